@@ -0,0 +1,41 @@
+// audit.js — append-only record of privileged calls (who, what, outcome) in <stateDir>/audit.log
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { config, statePath } = require("./config");
+
+const AUDIT_FILE = statePath("audit.log");
+const MAX_FIELD = 4000; // long expressions are clipped in the log, not in the call
+
+function clip(v) {
+  if (typeof v !== "string") return v;
+  return v.length > MAX_FIELD ? `${v.slice(0, MAX_FIELD)}… (${v.length} chars)` : v;
+}
+
+/**
+ * Append one JSON line. `req` supplies caller details; `entry` is the action
+ * record, e.g. { action: "evaluate", screen: "1", expression, ok, error, ms }.
+ * Never throws: a full disk must not break the route being audited.
+ */
+function recordAudit(req, entry) {
+  const line = {
+    ts: new Date().toISOString(),
+    via: (req.auth && req.auth.via) || "none",
+    ip: req.ip || (req.socket && req.socket.remoteAddress) || null,
+    ua: req.get("user-agent") || null,
+    ...Object.fromEntries(Object.entries(entry).map(([k, v]) => [k, clip(v)])),
+  };
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    let size = 0;
+    try { size = fs.statSync(AUDIT_FILE).size; } catch { }
+    if (size >= config.audit.maxFileBytes) fs.renameSync(AUDIT_FILE, `${AUDIT_FILE}.1`);
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(line) + "\n");
+  } catch (e) {
+    console.error("[audit] write failed:", e.message);
+  }
+  console.log(`[audit] ${line.action}${line.screen ? ` screen=${line.screen}` : ""} via=${line.via} ip=${line.ip} ${line.ok ? "ok" : `failed: ${line.error}`}`);
+}
+
+module.exports = { recordAudit, AUDIT_FILE };
@@ -0,0 +1,212 @@
+// auth.js — authentication for mutating routes: per-device bearer token or hub HMAC signature;
+//           admin-only routes take the separate admin token instead of the device token
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { config } = require("./config");
+const { recordAudit } = require("./audit");
+
+const MODE = config.auth.mode;
+const MAX_SKEW_MS = config.auth.maxSkewMs;
+
+/* -------- secrets (re-read when the file changes, so re-provisioning needs no restart) -------- */
+const _secretCache = new Map(); // file -> { mtimeMs, value }
+
+function readSecret(file) {
+  let st;
+  try { st = fs.statSync(file); }
+  catch { _secretCache.delete(file); return null; }
+  const hit = _secretCache.get(file);
+  if (hit && hit.mtimeMs === st.mtimeMs) return hit.value;
+  let value = null;
+  try { value = fs.readFileSync(file, "utf8").trim() || null; }
+  catch (e) { console.error(`[auth] cannot read ${file}: ${e.message}`); }
+  _secretCache.set(file, { mtimeMs: st.mtimeMs, value });
+  return value;
+}
+
+function deviceToken() { return readSecret(config.auth.tokenFile); }
+function hubSecret() { return readSecret(config.auth.hubSecretFile); }
+function adminToken() { return readSecret(config.auth.adminTokenFile); }
+
+// compare digests so length differences do not leak through timing
+function safeEqual(a, b) {
+  const da = crypto.createHash("sha256").update(String(a)).digest();
+  const db = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(da, db);
+}
+
+/* -------- replay protection: signatures seen inside the skew window -------- */
+const _seenSignatures = new Map(); // signature -> expiresAt
+
+function rememberSignature(sig, now) {
+  for (const [s, exp] of _seenSignatures) if (exp <= now) _seenSignatures.delete(s);
+  if (_seenSignatures.has(sig)) return false;
+  _seenSignatures.set(sig, now + 2 * MAX_SKEW_MS);
+  return true;
+}
+
+/* -------- verifiers: return null on success or a reason string -------- */
+function checkBearer(req, getToken = deviceToken, what = "device") {
+  const h = req.get("authorization") || "";
+  const m = h.match(/^Bearer\s+(\S+)$/i);
+  if (!m) return "no bearer token";
+  const token = getToken();
+  if (!token) return `no ${what} token provisioned`;
+  return safeEqual(m[1], token) ? null : `bad ${what} token`;
+}
+
+/**
+ * Hub signature: hex HMAC-SHA256 with the shared hub secret over
+ *   `${timestamp}\n${METHOD}\n${originalUrl}\n${rawBody}`
+ * sent as X-Betsa-Timestamp (ms since epoch) and X-Betsa-Signature.
+ */
+function signRequest(secret, timestamp, method, url, rawBody = "") {
+  return crypto.createHmac("sha256", secret)
+    .update(`${timestamp}\n${method.toUpperCase()}\n${url}\n${rawBody}`)
+    .digest("hex");
+}
+
+/** X-Betsa-* headers signing an outgoing request with the hub secret ({} when none is provisioned). */
+function hubSignatureHeaders(method, url, rawBody = "") {
+  const secret = hubSecret();
+  if (!secret) return {};
+  const ts = String(Date.now());
+  return { "X-Betsa-Timestamp": ts, "X-Betsa-Signature": signRequest(secret, ts, method, url, rawBody) };
+}
+
+function checkHmac(req) {
+  const tsHeader = req.get("x-betsa-timestamp");
+  const sigHeader = (req.get("x-betsa-signature") || "").replace(/^sha256=/i, "");
+  if (!tsHeader || !sigHeader) return "no signature";
+  const secret = hubSecret();
+  if (!secret) return "no hub secret provisioned";
+
+  const ts = Number(tsHeader);
+  const now = Date.now();
+  if (!Number.isFinite(ts) || Math.abs(now - ts) > MAX_SKEW_MS) return `timestamp outside ±${MAX_SKEW_MS}ms`;
+
+  const raw = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const expected = signRequest(secret, tsHeader, req.method, req.originalUrl, raw);
+  if (!safeEqual(sigHeader.toLowerCase(), expected)) return "bad signature";
+  if (!rememberSignature(expected, now)) return "replayed signature";
+  return null;
+}
+
+/**
+ * Hub channel command frames carry their own signature, since the socket
+ * itself is only authenticated at the upgrade: hex HMAC-SHA256 with the hub
+ * secret over `${id}|${command}|${JSON.stringify(args ?? {})}|${ts}`.
+ */
+function signCommand(secret, id, command, args, ts) {
+  return crypto.createHmac("sha256", secret)
+    .update(`${id}|${command}|${JSON.stringify(args ?? {})}|${ts}`)
+    .digest("hex");
+}
+
+/** null when a { id, command, args, ts, sig } frame is signed by the hub and fresh, else the reason. */
+function checkCommandSignature(msg) {
+  if (!msg.ts || typeof msg.sig !== "string") return "no signature";
+  const secret = hubSecret();
+  if (!secret) return "no hub secret provisioned";
+
+  const ts = Number(msg.ts);
+  const now = Date.now();
+  if (!Number.isFinite(ts) || Math.abs(now - ts) > MAX_SKEW_MS) return `timestamp outside ±${MAX_SKEW_MS}ms`;
+
+  const expected = signCommand(secret, msg.id, msg.command, msg.args, msg.ts);
+  if (!safeEqual(msg.sig.toLowerCase(), expected)) return "bad signature";
+  if (!rememberSignature(expected, now)) return "replayed signature";
+  return null;
+}
+
+/* -------- loopback calls this process makes to its own routes (hub channel) -------- */
+const INTERNAL_TOKEN = crypto.randomBytes(32).toString("hex"); // never leaves the process
+
+/** Headers that authorize a request from this process to its own API over 127.0.0.1 (never admin routes). */
+function internalAuthHeaders() {
+  return { "X-Betsa-Internal": INTERNAL_TOKEN };
+}
+
+function checkInternal(req) {
+  const addr = (req.socket && req.socket.remoteAddress) || "";
+  if (!/^(127\.|::1$|::ffff:127\.)/.test(addr)) return "internal token from non-loopback address";
+  return safeEqual(req.get("x-betsa-internal"), INTERNAL_TOKEN) ? null : "bad internal token";
+}
+
+/* -------- logging -------- */
+function logRejected(req, reason) {
+  const ip = req.ip || (req.socket && req.socket.remoteAddress) || "unknown";
+  const ua = req.get("user-agent") || "-";
+  console.warn(`[auth] rejected ${req.method} ${req.originalUrl} from ${ip} (${reason}) ua="${ua}"`);
+}
+
+/* -------- middleware -------- */
+// admin: the bearer must be the admin token or the hub signature; internal calls never qualify
+function authenticate(req, admin = false) {
+  if (req.get("x-betsa-internal")) {
+    if (admin) return { ok: false, reason: "internal calls cannot use admin routes" };
+    const why = checkInternal(req);
+    return why ? { ok: false, reason: why } : { ok: true, via: "internal" };
+  }
+  if (req.get("x-betsa-signature")) {
+    const why = checkHmac(req);
+    return why ? { ok: false, reason: why } : { ok: true, via: "hmac" };
+  }
+  const why = admin ? checkBearer(req, adminToken, "admin") : checkBearer(req);
+  return why ? { ok: false, reason: why } : { ok: true, via: admin ? "admin-token" : "token" };
+}
+
+function guard(admin) {
+  return function (req, res, next) {
+    if (MODE === "off") return next();
+
+    const result = authenticate(req, admin);
+    if (result.ok) {
+      req.auth = { via: result.via };
+      return next();
+    }
+
+    logRejected(req, result.reason);
+    if (admin) recordAudit(req, { action: "rejected", path: req.originalUrl, ok: false, error: result.reason });
+    if (MODE === "log") return next();
+
+    if (!(admin ? adminToken() : deviceToken()) && !hubSecret()) {
+      return res.status(503).send(`${admin ? "admin" : "device"} credentials not provisioned`);
+    }
+    res.set("WWW-Authenticate", `Bearer realm="${admin ? "kiosk-admin" : "kiosk"}"`);
+    res.status(401).send("unauthorized");
+  };
+}
+
+/** Express middleware for routes that change device state. */
+const requireAuth = guard(false);
+
+/** Express middleware for routes that can read or run anything in a page (admin token or hub signature). */
+const requireAdmin = guard(true);
+
+/**
+ * { mode, deviceToken, adminToken, hubSecret, problem }: which credentials are
+ * provisioned, and `problem` when enforcing leaves routes nobody can call (they answer 503).
+ */
+function authStatus() {
+  const have = { deviceToken: !!deviceToken(), adminToken: !!adminToken(), hubSecret: !!hubSecret() };
+  let problem = null;
+  if (MODE === "enforce") {
+    const missing = [];
+    if (!have.deviceToken && !have.hubSecret) missing.push(`device (${config.auth.tokenFile})`);
+    if (!have.adminToken && !have.hubSecret) missing.push(`admin (${config.auth.adminTokenFile})`);
+    if (missing.length) {
+      problem = `auth.mode is enforce but no ${missing.join(" or ")} credentials and no hub secret (${config.auth.hubSecretFile}) are provisioned`;
+    }
+  }
+  return { mode: MODE, ...have, problem };
+}
+
+/** Pass to express.json({ verify }) so the HMAC can be checked over the exact bytes received. */
+function captureRawBody(req, _res, buf) {
+  req.rawBody = buf;
+}
+
+module.exports = { requireAuth, requireAdmin, authStatus, captureRawBody, signRequest, signCommand, checkCommandSignature, hubSignatureHeaders, internalAuthHeaders };
@@ -3,22 +3,32 @@
 
 const os = require("os");
 const fs = require("fs");
+const path = require("path");
 const { spawn, execFileSync } = require("child_process");
 const { getLatestPatch } = require("./patch-info");
+const { config, statePath } = require("./config");
+const { getVersion } = require("./upgrade");
+const { deviceFacts, evaluatePatch } = require("./patch-targeting");
+const { PatchVerifyError, loadPublicKey, verifyManifest, verifySha256 } = require("./patch-verify");
 
 // ----------------------------------------------------------------------------
-// Config (can be overridden with env vars)
+// Config (config.autopatch; PATCHES_URL / AUTOPATCH_* env vars still override)
 // ----------------------------------------------------------------------------
-const PATCHES_URL =
-  process.env.PATCHES_URL ||
-  "http://qa-assets.betsainfo.co.za/betsa/display/patches.json";
+const PATCHES_URL = config.autopatch.patchesUrl;
 
-const LOG_FILE = process.env.AUTOPATCH_LOG_FILE || "/var/log/betsa-patch.log";
+const LOG_FILE = config.autopatch.logFile;
 
 // Default timeout per patch (ms). Pi installs can be slow; 60 min default.
-const DEFAULT_PATCH_TIMEOUT_MS = Number(
-  process.env.AUTOPATCH_PATCH_TIMEOUT_MS || 60 * 60 * 1000
-);
+const DEFAULT_PATCH_TIMEOUT_MS = config.autopatch.patchTimeoutMs;
+
+// Detached Ed25519 signature over the exact patches.json bytes, and the key it must verify against.
+const SIGNATURE_URL = config.autopatch.signatureUrl;
+const PUBLIC_KEY_FILE = config.autopatch.publicKeyFile;
+const REQUIRE_SIGNATURE = config.autopatch.requireSignature;
+
+// Verified scripts are staged here before a root shell copies, re-hashes and runs them.
+const DOWNLOAD_DIR = config.autopatch.downloadDir;
+const DOWNLOAD_TIMEOUT_MS = 5 * 60 * 1000;
 
 // ----------------------------------------------------------------------------
 // Helpers
@@ -69,19 +79,100 @@ function isRaspberryPi() {
   return os.arch().startsWith("arm");
 }
 
-function pickUrlForDevice(patchObj) {
-  return isRaspberryPi() ? patchObj.raspberry_pi_url : patchObj.intel_url;
+// { url, sha256 } for this device; a per-device <device>_sha256 wins over a shared sha256
+function pickForDevice(patchObj) {
+  const device = isRaspberryPi() ? "raspberry_pi" : "intel";
+  return { url: patchObj[`${device}_url`], sha256: patchObj[`${device}_sha256`] || patchObj.sha256 };
+}
+
+async function fetchBytes(url, timeoutMs, what) {
+  const res = await fetchWithTimeout(url, {}, timeoutMs);
+  if (!res.ok) throw new Error(`${what} fetch failed: ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+let lastSignatureCheck = null; // { at, result: "verified" | "skipped-no-key" | "refused", detail }
+
+/** Key and last manifest check, for GET /autopatch/status. */
+function signatureStatus() {
+  let key = "ok", detail = null;
+  try {
+    loadPublicKey(PUBLIC_KEY_FILE);
+  } catch (e) {
+    key = "missing";
+    detail = e.message;
+  }
+  return {
+    required: REQUIRE_SIGNATURE,
+    keyFile: PUBLIC_KEY_FILE,
+    key,
+    detail,
+    enforced: key === "ok" || REQUIRE_SIGNATURE, // a missing key refuses every manifest when required
+    lastCheck: lastSignatureCheck,
+  };
+}
+
+// Throws PatchVerifyError when the manifest is not signed by the device key.
+// A device without the key only runs unsigned manifests while requireSignature is off.
+async function checkManifestSignature(raw) {
+  const record = (result, detail = null) => { lastSignatureCheck = { at: new Date().toISOString(), result, detail }; };
+  let key;
+  try {
+    key = loadPublicKey(PUBLIC_KEY_FILE);
+  } catch (e) {
+    if (REQUIRE_SIGNATURE) { record("refused", e.message); throw e; }
+    record("skipped-no-key", e.message);
+    console.warn(`[autopatch] ${e.message}; manifest signature NOT checked (requireSignature is off)`);
+    return;
+  }
+  try {
+    let sig;
+    try {
+      sig = await fetchBytes(SIGNATURE_URL, 10000, "patches.json signature");
+    } catch (e) {
+      throw new PatchVerifyError("no-signature", e.message);
+    }
+    verifyManifest(raw, sig, key);
+  } catch (e) {
+    record("refused", e.message);
+    throw e;
+  }
+  record("verified");
 }
 
 async function getServerPatches() {
-  const res = await fetchWithTimeout(PATCHES_URL, {}, 10000);
-  if (!res.ok) throw new Error("patches.json fetch failed: " + res.status);
-  const data = await res.json();
+  const raw = await fetchBytes(PATCHES_URL, 10000, "patches.json");
+  await checkManifestSignature(raw);
+  const data = JSON.parse(raw.toString("utf8"));
   const patches = Array.isArray(data.patches) ? data.patches : [];
   patches.sort((a, b) => Number(a.number) - Number(b.number));
   return patches;
 }
 
+// Download one patch, check it against the manifest sha256, and stage it as a file.
+async function downloadPatch(patchNumber, url, sha256) {
+  const body = await fetchBytes(url, DOWNLOAD_TIMEOUT_MS, `patch ${patchNumber}`);
+  verifySha256(body, sha256, `patch ${patchNumber}`);
+  fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+  const file = path.join(DOWNLOAD_DIR, `patch-${patchNumber}.sh`);
+  fs.writeFileSync(file, body, { mode: 0o600 });
+  return { number: patchNumber, file, sha256: sha256.toLowerCase() };
+}
+
+const shq = (s) => `'${String(s).replace(/'/g, `'\\''`)}'`;
+
+// Root-side script: copy the staged file somewhere only root can write, re-check
+// the hash on that copy (the staging dir belongs to the kiosk user) and run it.
+// No $ expansions: systemd substitutes $VAR in transient unit command lines.
+function patchScript(patch) {
+  const copy = `/run/betsa-patch-${patch.number}.sh`;
+  return [
+    "set -o pipefail",
+    `trap ${shq(`rm -f ${copy}`)} EXIT`,
+    `install -m 700 ${shq(patch.file)} ${copy} && echo ${shq(`${patch.sha256}  ${copy}`)} | sha256sum -c --quiet && bash -x ${copy} 2>&1 | tee -a ${shq(LOG_FILE)}`,
+  ].join("; ");
+}
+
 // Poll a systemd unit until it finishes or times out
 function waitForUnit(unit, timeoutMs) {
   return new Promise((resolve, reject) => {
@@ -130,18 +221,16 @@ function waitForUnit(unit, timeoutMs) {
 
 // Detached run in a transient systemd unit.
 // opts may include { vt: number } to mirror logs to a text VT.
-async function runPatchSystemd(url, patchNumber, opts = {}) {
-  const unit = `betsa-patch-${patchNumber}-${Date.now()}`;
-  const vtFromEnv = process.env.AUTOPATCH_VT ? Number(process.env.AUTOPATCH_VT) : null;
-  const vt = opts && typeof opts.vt === "number" ? opts.vt : vtFromEnv;
+async function runPatchSystemd(patch, opts = {}) {
+  const unit = `betsa-patch-${patch.number}-${Date.now()}`;
+  const vt = opts && typeof opts.vt === "number" ? opts.vt : config.autopatch.vt;
 
   const openvtAvailable = vt && hasCmd("openvt");
 
-  // Build the command line that runs inside the transient unit.
-  // We pass URL and LOG as envs so quoting is robust, and we use double quotes so $URL/$LOG expand.
-  const execLine = openvtAvailable
-    ? `openvt -c ${vt} -sw -- bash -lc "curl -fsSL \\"$URL\\" | bash -x 2>&1 | tee -a \\"$LOG\\""`
-    : `bash -lc "curl -fsSL \\"$URL\\" | bash -x 2>&1 | tee -a \\"$LOG\\""`;
+  // Command line that runs inside the transient unit (see patchScript for quoting).
+  const command = openvtAvailable
+    ? ["openvt", "-c", String(vt), "-sw", "--", "/bin/bash", "-lc", patchScript(patch)]
+    : ["/bin/bash", "-lc", patchScript(patch)];
 
   const args = [
     "--unit",
@@ -150,11 +239,7 @@ async function runPatchSystemd(url, patchNumber, opts = {}) {
     "--property=After=network-online.target",
     "--property=StandardOutput=journal",
     "--property=StandardError=journal",
-    `--setenv=URL=${url}`,
-    `--setenv=LOG=${LOG_FILE}`,
-    "/bin/bash",
-    "-lc",
-    execLine,
+    ...command,
   ];
 
   // Pick runner: systemd-run as root, or sudo -n systemd-run if allowed
@@ -168,6 +253,7 @@ async function runPatchSystemd(url, patchNumber, opts = {}) {
     throw new Error("no privilege to use systemd-run");
   }
 
+  progress({ unit, mode: "systemd" });
   console.log(`[autopatch] launching detached unit ${unit}`);
   await new Promise((res, rej) => {
     const p = spawn(runner[0], runner.slice(1), { stdio: "inherit" });
@@ -187,9 +273,9 @@ async function runPatchSystemd(url, patchNumber, opts = {}) {
 // Inline run in the current service cgroup.
 // Safe on your Pi script (it only restarts x11-kiosk.service).
 // We still escalate with sudo -n to get root; if not allowed, we error quickly.
-function runPatchInline(url) {
+function runPatchInline(patch) {
   return new Promise((resolve, reject) => {
-    const inner = `set -o pipefail; curl -fsSL "${url}" | bash -x 2>&1 | tee -a "${LOG_FILE}"`;
+    const inner = patchScript(patch);
 
     let cmd, args;
     if (isRoot()) {
@@ -204,6 +290,7 @@ function runPatchInline(url) {
 
     console.warn("[autopatch] running patch inline (no systemd-run).");
     const child = spawn(cmd, args, { stdio: "inherit" });
+    progress({ unit: null, mode: "inline", pid: child.pid });
 
     const killTimer = setTimeout(() => {
       console.error("[autopatch] timeout reached, stopping inline patch");
@@ -231,9 +318,9 @@ function runPatchInline(url) {
 }
 
 // Try systemd-run; if privilege missing or it is blocked by polkit, fall back inline.
-async function runOnePatch(url, patchNumber, opts = {}) {
+async function runOnePatch(patch, opts = {}) {
   try {
-    return await runPatchSystemd(url, patchNumber, opts);
+    return await runPatchSystemd(patch, opts);
   } catch (e) {
     const msg = String((e && e.message) || e);
     if (
@@ -242,7 +329,7 @@ async function runOnePatch(url, patchNumber, opts = {}) {
       /systemd-run failed/i.test(msg)
     ) {
       console.warn("[autopatch] falling back to inline patch run.");
-      return runPatchInline(url);
+      return runPatchInline(patch);
     }
     throw e;
   }
@@ -252,6 +339,45 @@ async function runOnePatch(url, patchNumber, opts = {}) {
 // Main flow
 // ----------------------------------------------------------------------------
 let activeRun = null; // in-process concurrency guard
+let run = null;       // what the active run is doing, for status()
+let nextCheck = null; // { at, minute } of the nightly check
+const LAST_RESULT_FILE = statePath("autopatch-last.json");
+let lastResult = loadLastResult();
+
+function loadLastResult() {
+  try {
+    return JSON.parse(fs.readFileSync(LAST_RESULT_FILE, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// kept on disk: a patch that restarts the kiosk service would otherwise take its result with it
+function saveLastResult(result) {
+  lastResult = result;
+  try {
+    fs.writeFileSync(LAST_RESULT_FILE, JSON.stringify(result, null, 2));
+  } catch (e) {
+    console.warn(`[autopatch] cannot save last result: ${e.message}`);
+  }
+}
+
+function progress(fields) {
+  if (run) Object.assign(run, fields);
+}
+let onRefused = () => {}; // set by setRefusalHandler (server.js reports to the hub)
+
+// A manifest or patch that failed verification: never run, logged and reported.
+function refuse(err, patch = null, url = null) {
+  const refused = { at: new Date().toISOString(), patch, url, reason: err.reason, message: err.message };
+  console.error(`[autopatch] REFUSED${patch !== null ? ` patch ${patch}` : " manifest"}: ${err.message}`);
+  try {
+    onRefused(refused);
+  } catch (e) {
+    console.warn(`[autopatch] refusal report failed: ${e.message}`);
+  }
+  return refused;
+}
 
 async function _doCheckAndApply(opts = {}) {
   const local = getLatestPatch();
@@ -259,9 +385,13 @@ async function _doCheckAndApply(opts = {}) {
   console.log(`[autopatch] current patch: ${current}`);
 
   let patches;
+  progress({ phase: "manifest" });
   try {
     patches = await getServerPatches();
   } catch (err) {
+    if (err instanceof PatchVerifyError) {
+      return { current, latest: current, applied: [], refused: refuse(err) };
+    }
     const msg = err && err.message ? err.message : String(err);
     console.error(`[autopatch] failed to fetch patch manifest: ${msg}`);
     return { current, latest: current, applied: [], error: msg };
@@ -278,33 +408,97 @@ async function _doCheckAndApply(opts = {}) {
     return { current, latest, applied: [] };
   }
 
+  const facts = deviceFacts(getVersion());
   const applied = [];
+  const decisions = [];
   for (const p of toApply) {
-    const url = pickUrlForDevice(p);
+    const { decision, reason } = evaluatePatch(p, facts);
+    decisions.push({ patch: p.number, decision, reason });
+    if (decision === "skip") {
+      console.log(`[autopatch] patch ${p.number} not for this device (${reason}); skipping`);
+      continue;
+    }
+    if (decision === "wait") {
+      // later patches may build on this one: stop here
+      console.log(`[autopatch] patch ${p.number} not released to this device yet (${reason}); stopping`);
+      return { current, latest, applied, decisions, waitingOn: p.number };
+    }
+    const { url, sha256 } = pickForDevice(p);
     if (!url) {
       console.warn(
         `[autopatch] patch ${p.number} has no URL for this device; skipping`
       );
       continue;
     }
-    console.log(`[autopatch] applying patch ${p.number} from ${url}`);
-    await runOnePatch(url, Number(p.number), opts);
+    progress({ phase: "downloading", patch: Number(p.number), url, unit: null, mode: null, pid: null });
+    console.log(`[autopatch] downloading patch ${p.number} from ${url}`);
+    let patch;
+    try {
+      patch = await downloadPatch(Number(p.number), url, sha256);
+    } catch (err) {
+      // later patches may build on this one: stop here
+      if (err instanceof PatchVerifyError) {
+        return { current, latest, applied, decisions, refused: refuse(err, p.number, url) };
+      }
+      const msg = err && err.message ? err.message : String(err);
+      console.error(`[autopatch] patch ${p.number} download failed: ${msg}`);
+      return { current, latest, applied, decisions, failedPatch: p.number, error: msg };
+    }
+    progress({ phase: "running" });
+    console.log(`[autopatch] applying patch ${p.number} (sha256 ${patch.sha256})`);
+    try {
+      await runOnePatch(patch, opts);
+    } finally {
+      fs.rmSync(patch.file, { force: true });
+    }
     console.log(`[autopatch] patch ${p.number} complete`);
     applied.push(p.number);
     // Your patch .sh should append to /var/local/patch_history so getLatestPatch() sees the new version.
     // If a patch reboots the system, control will not reach here; on boot, the next check will see it applied.
   }
 
-  return { current, latest, applied };
+  return { current, latest, applied, decisions };
 }
 
+/**
+ * Dry run for GET /autopatch/plan: this device's facts and what it would do
+ * with every pending patch in the (verified) manifest. Nothing is downloaded.
+ */
+async function plan() {
+  const local = getLatestPatch();
+  const current = typeof local.patch === "number" ? local.patch : 0;
+  const facts = deviceFacts(getVersion());
+  const patches = await getServerPatches();
+  const pending = [];
+  let blocked = null;
+  for (const p of patches.filter((x) => Number(x.number) > current)) {
+    const { decision, reason } = evaluatePatch(p, facts);
+    // behind a "wait" nothing runs this time, whatever its own rules say
+    if (blocked !== null && decision !== "skip") pending.push({ patch: p.number, decision: "blocked", reason: `waiting on patch ${blocked}` });
+    else pending.push({ patch: p.number, decision, reason });
+    if (decision === "wait" && blocked === null) blocked = p.number;
+  }
+  return { device: facts, current, pending };
+}
+
+/**
+ * @param {object} opts { vt, trigger: "boot" | "nightly" | "manual" (default) }
+ */
 async function checkAndApply(opts = {}) {
   if (activeRun) return activeRun; // already running
+  run = { startedAt: new Date().toISOString(), trigger: opts.trigger || "manual", phase: "starting", patch: null, url: null, unit: null, mode: null, pid: null };
   activeRun = (async () => {
+    const { startedAt, trigger } = run;
     try {
-      return await _doCheckAndApply(opts);
+      const result = await _doCheckAndApply(opts);
+      saveLastResult({ startedAt, finishedAt: new Date().toISOString(), trigger, ...result });
+      return result;
+    } catch (err) {
+      saveLastResult({ startedAt, finishedAt: new Date().toISOString(), trigger, failedPatch: run.patch, error: err && err.message ? err.message : String(err) });
+      throw err;
     } finally {
       activeRun = null;
+      run = null;
     }
   })();
   return activeRun;
@@ -314,6 +508,85 @@ function isBusy() {
   return !!activeRun;
 }
 
+/** For GET /autopatch/status: the active run (if any), the last result and the next nightly check. */
+function status() {
+  const tz = config.timezone;
+  return {
+    running: !!run,
+    run: run ? { ...run, elapsedMs: Date.now() - Date.parse(run.startedAt) } : null,
+    lastResult,
+    nextCheck: nextCheck ? nextCheck.at.toISOString() : null,
+    nextCheckLocal: nextCheck ? nextCheck.at.toLocaleString("en-ZA", { timeZone: tz }) : null,
+    staggerMinute: nextCheck ? nextCheck.minute : null,
+    channel: config.autopatch.channel,
+    signature: signatureStatus(),
+    logFile: LOG_FILE,
+  };
+}
+
+/**
+ * Follow LOG_FILE like `tail -n <backlog> -F`: onLines(lines) with the last
+ * `backlog` lines, then with every complete line appended. Survives the file
+ * being created, truncated or rotated. Returns a stop function.
+ */
+function followLog(onLines, { backlog = 200, intervalMs = 1000 } = {}) {
+  let offset = 0;
+  let ino = null;
+  let partial = "";
+
+  function readFrom(start, end) {
+    const fd = fs.openSync(LOG_FILE, "r");
+    try {
+      const buf = Buffer.alloc(end - start);
+      fs.readSync(fd, buf, 0, buf.length, start);
+      return buf.toString("utf8");
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  function poll(first) {
+    let st;
+    try {
+      st = fs.statSync(LOG_FILE);
+    } catch {
+      return; // not created yet
+    }
+    if (st.ino !== ino || st.size < offset) {
+      // new, rotated or truncated file: start over (only the first read honours the backlog)
+      ino = st.ino;
+      offset = first ? Math.max(0, st.size - 64 * 1024) : 0;
+      partial = "";
+    }
+    if (st.size === offset) return;
+    const start = offset;
+    const end = Math.min(st.size, offset + 1024 * 1024);
+    const lines = (partial + readFrom(start, end)).split("\n");
+    offset = end;
+    partial = lines.pop();
+    if (first && start > 0) lines.shift(); // began mid-line
+    if (first) lines.splice(0, Math.max(0, lines.length - backlog));
+    if (lines.length) onLines(lines);
+  }
+
+  try {
+    poll(true);
+  } catch (e) {
+    console.warn(`[autopatch] cannot read ${LOG_FILE}: ${e.message}`);
+  }
+  const timer = setInterval(() => {
+    try {
+      poll(false);
+    } catch { }
+  }, intervalMs);
+  return () => clearInterval(timer);
+}
+
+/** fn({ at, patch, url, reason, message }) for every refused manifest or patch; patch is null for the manifest. */
+function setRefusalHandler(fn) {
+  onRefused = fn;
+}
+
 
 
 /* -------------------------------------------------------------------------- */
@@ -352,8 +625,8 @@ function computeStaggerMinuteFromIP(ip) {
  * @returns {number} the chosen minute [0..59]
  */
 function startNightlyStagger(ip, opts = {}) {
-  const hour = Number.isFinite(opts.hour) ? Number(opts.hour) : 20;
-  const tz = opts.tz || "Africa/Johannesburg";
+  const hour = Number.isFinite(opts.hour) ? Number(opts.hour) : config.autopatch.nightlyHour;
+  const tz = opts.tz || config.timezone;
   const minute = computeStaggerMinuteFromIP(ip);
 
   function nextAtHourMinute(base, h, m) {
@@ -383,6 +656,7 @@ function startNightlyStagger(ip, opts = {}) {
   }
 
   function scheduleFor(when) {
+    nextCheck = { at: when, minute };
     const delay = Math.max(0, when.getTime() - Date.now());
     console.log(
       `[autopatch] next scheduled check: ${when.toLocaleString("en-ZA", { timeZone: tz })} (minute ${minute}) ip=${ip || "unknown"}`
@@ -391,7 +665,7 @@ function startNightlyStagger(ip, opts = {}) {
       try {
         if (!isBusy()) {
           console.log("[autopatch] starting scheduled check...");
-          await checkAndApply({ vt: opts.vt });
+          await checkAndApply({ vt: opts.vt, trigger: "nightly" });
         } else {
           console.log("[autopatch] skipped: already running");
         }
@@ -410,4 +684,4 @@ function startNightlyStagger(ip, opts = {}) {
 }
 
 
-module.exports = { checkAndApply, isBusy, startNightlyStagger, computeStaggerMinuteFromIP };
+module.exports = { checkAndApply, isBusy, status, plan, followLog, setRefusalHandler, startNightlyStagger, computeStaggerMinuteFromIP };
@@ -0,0 +1,211 @@
+// cdp.js — shared Chrome DevTools Protocol client: one pooled, auto-reconnecting page connection per screen
+"use strict";
+
+const http = require("http");
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const { getScreen } = require("./screens");
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const OPEN_TIMEOUT_MS = 3000;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+/** GET http://127.0.0.1:<port>/json (the DevTools target list). */
+function fetchTargets(port, timeoutMs = 3000) {
+  return new Promise((res, rej) => {
+    const req = http.get({ host: "127.0.0.1", port, path: "/json", timeout: timeoutMs }, r => {
+      let data = "";
+      r.on("data", c => (data += c));
+      r.on("end", () => { try { res(JSON.parse(data)); } catch (e) { rej(e); } });
+    });
+    req.on("timeout", () => req.destroy(new Error("timeout")));
+    req.on("error", rej);
+  });
+}
+
+/**
+ * Connection to the "page" target of one screen's Chromium.
+ *   send(method, params, { timeoutMs })   promise of the result; rejects on CDP error / timeout
+ *   enable(domain)                         `${domain}.enable` now and after every reconnect
+ *   on(cdpEvent, fn)                       CDP events by method name, e.g. "Page.frameNavigated"
+ *   on("connected" | "disconnected", fn)   connection lifecycle
+ * The session connects on first use and then keeps reconnecting while the process runs.
+ */
+class CdpSession extends EventEmitter {
+  constructor(screenId, port, log = console) {
+    super();
+    this.setMaxListeners(50);
+    this.screenId = screenId;
+    this.port = port;
+    this.log = log;
+    this.ws = null;
+    this.msgId = 0;
+    this.pending = new Map();   // id -> { resolve, reject, timer, method }
+    this.domains = new Set();   // re-enabled after each reconnect
+    this.opening = null;        // promise while connecting
+    this.timer = null;
+    this.backoff = RECONNECT_MIN_MS;
+    this.failing = false;       // log the first failure only
+    this.started = false;
+    this.connectedSince = null;
+    this.connections = 0;       // successful opens; all but the first are reconnects
+    this.closed = false;
+    this.targetUrl = null;
+  }
+
+  get connected() { return !!(this.ws && this.ws.readyState === WebSocket.OPEN); }
+
+  /** Resolves once connected (connecting if needed); rejects if the browser is not reachable now. */
+  ready() {
+    if (this.closed) return Promise.reject(new Error("session closed"));
+    this.started = true;
+    if (this.connected) return Promise.resolve();
+    if (!this.opening) this.opening = this._open().finally(() => { this.opening = null; });
+    return this.opening;
+  }
+
+  /** Start connecting in the background (and keep reconnecting). */
+  keepAlive() {
+    this.ready().catch(() => {});
+    return this;
+  }
+
+  async _open() {
+    let ws;
+    try {
+      const list = await fetchTargets(this.port);
+      const page = list.find(t => t.type === "page");
+      if (!page) throw new Error('no "page" target');
+      ws = new WebSocket(page.webSocketDebuggerUrl, { perMessageDeflate: false, maxPayload: 256 * 1024 * 1024 });
+      await new Promise((resolve, reject) => {
+        const t = setTimeout(() => reject(new Error("ws open timeout")), OPEN_TIMEOUT_MS);
+        ws.once("open", () => { clearTimeout(t); resolve(); });
+        ws.once("error", e => { clearTimeout(t); reject(e); });
+      });
+      this.targetUrl = page.url;
+    } catch (e) {
+      if (ws) { try { ws.terminate(); } catch { } }
+      if (!this.failing) this.log.warn(`[cdp] screen ${this.screenId} (${this.port}) connect failed: ${e.message}`);
+      this.failing = true;
+      this._schedule();
+      throw e;
+    }
+
+    this.ws = ws;
+    ws.on("message", raw => this._onMessage(raw));
+    ws.on("error", e => { this.log.warn(`[cdp] screen ${this.screenId} error: ${e.message}`); try { ws.terminate(); } catch { } });
+    ws.on("close", () => this._onClose(ws));
+
+    this.connections++;
+    this.connectedSince = new Date().toISOString();
+    this.failing = false;
+    this.backoff = RECONNECT_MIN_MS;
+    this.log.log(`[cdp] screen ${this.screenId} connected (${this.port})`);
+    for (const d of this.domains) this._raw(`${d}.enable`).catch(() => {});
+    this.emit("connected");
+  }
+
+  _onClose(ws) {
+    if (this.ws !== ws) return;
+    this.ws = null;
+    this.connectedSince = null;
+    for (const p of this.pending.values()) { clearTimeout(p.timer); p.reject(new Error(`${p.method}: connection closed`)); }
+    this.pending.clear();
+    this.log.warn(`[cdp] screen ${this.screenId} disconnected`);
+    this.emit("disconnected");
+    this._schedule();
+  }
+
+  _schedule() {
+    if (this.timer || !this.started || this.closed) return;
+    const delay = this.backoff;
+    this.backoff = Math.min(this.backoff * 2, RECONNECT_MAX_MS);
+    this.timer = setTimeout(() => { this.timer = null; this.ready().catch(() => {}); }, delay);
+  }
+
+  _onMessage(raw) {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return; }
+    if (msg.id) {
+      const p = this.pending.get(msg.id);
+      if (!p) return;
+      this.pending.delete(msg.id);
+      clearTimeout(p.timer);
+      if (msg.error) p.reject(new Error(`${p.method}: ${msg.error.message || "cdp error"}`));
+      else p.resolve(msg.result || {});
+      return;
+    }
+    if (msg.method) this.emit(msg.method, msg.params || {});
+  }
+
+  _raw(method, params = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) return reject(new Error(`${method}: not connected`));
+      const id = ++this.msgId;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(Object.assign(new Error(`${method} timed out after ${timeoutMs}ms`), { timeout: true }));
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, timer, method });
+      this.ws.send(JSON.stringify({ id, method, params }));
+    });
+  }
+
+  async send(method, params = {}, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    await this.ready();
+    return this._raw(method, params, timeoutMs);
+  }
+
+  /** Keep a domain enabled across reconnects (e.g. "Page", "Runtime", "Log"). */
+  enable(domain) {
+    if (this.domains.has(domain)) return Promise.resolve();
+    this.domains.add(domain);
+    return this.connected ? this._raw(`${domain}.enable`).catch(() => {}) : this.ready().catch(() => {});
+  }
+
+  /** Stop reconnecting and drop the connection (the screen went away or changed port). */
+  close() {
+    this.closed = true;
+    if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+    if (this.ws) { try { this.ws.terminate(); } catch { } }
+  }
+
+  status() {
+    return {
+      port: this.port,
+      connected: this.connected,
+      connectedSince: this.connectedSince,
+      reconnects: Math.max(0, this.connections - 1),
+      pending: this.pending.size,
+    };
+  }
+}
+
+/* -------- pool: one session per screen -------- */
+const sessions = new Map(); // screen id -> CdpSession
+
+/**
+ * Pooled session for a screen (port from screens.js unless given);
+ * a new one is made if the screen moved to another port.
+ */
+function getSession(screenId, port) {
+  const id = String(screenId);
+  if (typeof port === "undefined") {
+    const scr = getScreen(id);
+    if (!scr) throw new Error(`unknown screen ${id}`);
+    port = scr.debugPort;
+  }
+  let s = sessions.get(id);
+  if (s && s.port === port) return s;
+  if (s) s.close();
+  s = new CdpSession(id, port);
+  sessions.set(id, s);
+  return s;
+}
+
+function sessionStatus() {
+  return Object.fromEntries([...sessions].map(([id, s]) => [id, s.status()]));
+}
+
+module.exports = { CdpSession, getSession, fetchTargets, sessionStatus };
@@ -0,0 +1,625 @@
+// config.js — layered kiosk configuration: defaults -> /etc/betsa/kiosk.json -> env vars
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_FILE = process.env.KIOSK_CONFIG || "/etc/betsa/kiosk.json";
+
+/* -------- defaults (the values that used to be hard-coded per module) -------- */
+// null means "derived from other settings" (see resolveDerived)
+const DEFAULTS = {
+  port: 8080,
+  hub: "http://10.1.220.219:7070",
+  timezone: "Africa/Johannesburg",
+  stateDir: "/home/admin/kiosk",
+  appDir: "/opt/betsa-display-screens",
+  announceIntervalMs: 10 * 60 * 1000,
+  desktop: {
+    user: "admin",
+    display: ":0",
+    xauthority: null,            // /home/<user>/.Xauthority
+  },
+  // null = discover from xrandr (see screens.js); otherwise a list of
+  // { id, connector, debugPort?, profileDir? }
+  screens: null,
+  auth: {
+    mode: "enforce",             // enforce | log (allow but log) | off
+    tokenFile: "/etc/betsa/kiosk.token",
+    hubSecretFile: "/etc/betsa/hub.secret",
+    adminTokenFile: "/etc/betsa/kiosk-admin.token", // bearer token for admin-only routes (page evaluation)
+    maxSkewMs: 5 * 60 * 1000,
+  },
+  watchdog: {
+    enabled: true,
+    probeIntervalMs: 30 * 1000,
+    probeTimeoutMs: 10 * 1000,
+    failThreshold: 2,            // consecutive bad probes before recovering
+    settleMs: 30 * 1000,         // wait after a recovery step before judging it
+    bootGraceMs: 90 * 1000,      // ignore about:blank etc. while browsers start
+    healthyResetMs: 5 * 60 * 1000,
+    relaunchCooldownMs: 5 * 60 * 1000,
+  },
+  hubChannel: {
+    enabled: true,
+    url: null,                   // ws(s)://<hub>/device/ws derived from hub
+    reconnectMinMs: 2 * 1000,
+    reconnectMaxMs: 60 * 1000,
+    pingIntervalMs: 30 * 1000,   // close and reconnect when a ping goes unanswered
+    commandTimeoutMs: 2 * 60 * 1000,
+    allowInsecure: false,        // connect over plain ws:// (frames are still signed, but readable on the wire)
+  },
+  outbox: {
+    maxEntries: 200,             // oldest messages are dropped beyond this
+    retryMinMs: 2 * 1000,
+    retryMaxMs: 5 * 60 * 1000,
+  },
+  screenshotHistory: {
+    enabled: true,
+    intervalMs: 10 * 60 * 1000,
+    format: "jpeg",
+    width: 960,                  // pixels; null = full resolution
+    quality: 50,
+    maxCount: 500,               // per screen
+    maxBytes: 200 * 1024 * 1024, // all screens together
+    pushThumbnails: false,       // send a small WebP of every capture to the hub
+    thumbnailWidth: 320,
+  },
+  frameAnalysis: {
+    enabled: true,
+    intervalMs: 60 * 1000,
+    frozenAfterMs: 15 * 60 * 1000, // identical captures for this long = frozen
+    frozenScreens: [],           // screen ids whose content must keep changing (live odds, video); others are never "frozen"
+    blankRatio: 0.98,            // share of pixels in the dominant colour to call it blank
+    blankAfterMs: 2 * 60 * 1000, // ignore short blanks (page transitions)
+  },
+  recording: {
+    defaultSeconds: 10,
+    maxSeconds: 30,
+    fps: 10,
+    maxWidth: 1280,              // clips are scaled down to this width
+    maxBytes: 20 * 1024 * 1024,  // ffmpeg stops writing at this size
+  },
+  consoleLog: {
+    enabled: true,
+    maxFileBytes: 5 * 1024 * 1024, // per screen, before rotating
+    maxFiles: 3,                 // current + rotated files kept per screen
+    burstErrors: 20,             // this many errors ...
+    burstWindowMs: 60 * 1000,    // ... inside this window is reported to the hub
+    burstCooldownMs: 10 * 60 * 1000,
+  },
+  inspect: {
+    timeoutMs: 5 * 1000,         // default Runtime.evaluate budget
+    maxTimeoutMs: 30 * 1000,
+    maxResultBytes: 256 * 1024,  // serialized result larger than this is refused
+    maxMatches: 50,              // /dom?all=1 returns at most this many elements
+  },
+  audit: {
+    maxFileBytes: 2 * 1024 * 1024, // audit.log is rotated to audit.log.1 at this size
+  },
+  networkLog: {
+    enabled: true,
+    windowMs: 30 * 60 * 1000,    // requests older than this are dropped
+    maxEntries: 2000,            // per screen
+    redactHeaders: ["authorization", "cookie", "set-cookie", "proxy-authorization"],
+  },
+  perf: {
+    enabled: true,
+    intervalMs: 60 * 1000,
+    historySize: 240,            // samples kept per screen (4 h at the default interval)
+    reloadHeapMb: 400,           // reload the page when the JS heap stays above this; null = never
+    reloadNodes: 150000,         // same for the DOM node count; null = never
+    restartRssMb: 900,           // restart the browser when its processes stay above this; null = never
+    sustainSamples: 3,           // consecutive samples over a threshold before acting
+    cooldownMs: 30 * 60 * 1000,  // minimum time between actions on one screen
+  },
+  hostHealth: {
+    diskPaths: ["/", "/var/log"],
+    tempWarnC: 70,               // hottest thermal zone
+    tempCritC: 80,
+    diskWarnPct: 15,             // free space
+    diskCritPct: 5,
+    memWarnPct: 15,              // MemAvailable of MemTotal
+    memCritPct: 5,
+    swapWarnPct: 50,             // swap used
+    swapCritPct: 80,
+    oomWarn: 1,                  // OOM kills since boot
+    oomCrit: 5,
+    failedUnitsWarn: 1,          // systemctl --failed
+    failedUnitsCrit: 3,
+  },
+  maintenance: {
+    enabled: false,              // scheduled reboots are opt-in
+    rebootDays: ["mon"],         // weekly reboot on these days ("mon", "sat-sun"); [] = no weekly reboot
+    rebootAt: "04:00",           // wall clock in `timezone`, plus this device's stagger
+    maxUptimeDays: null,         // also reboot once uptime reaches this; null = off
+    windowStart: "03:00",        // reboots only happen inside this window (may cross midnight)
+    windowEnd: "05:00",
+    windowDays: null,            // days the window is open; null = every day
+    staggerMinutes: 60,          // devices spread over this many minutes by IP (0 = all at once)
+  },
+  reboot: {
+    defaultMaxWaitMs: 30 * 60 * 1000, // POST /reboot gives up after this unless ?maxWaitMs= says otherwise; null = wait forever
+    maxWaitMs: 24 * 60 * 60 * 1000,   // largest ?maxWaitMs= accepted
+  },
+  supervisor: {
+    stableAfterMs: 60 * 1000,    // a browser that dies sooner counts as a crash
+    crashBackoffMinMs: 2 * 1000, // relaunch delay after the first crash, doubled per crash
+    crashBackoffMaxMs: 5 * 60 * 1000,
+    killTimeoutMs: 5 * 1000,     // SIGKILL a browser that ignores SIGTERM this long
+  },
+  autopatch: {
+    patchesUrl: "http://qa-assets.betsainfo.co.za/betsa/display/patches.json",
+    logFile: "/var/log/betsa-patch.log",
+    patchTimeoutMs: 60 * 60 * 1000,
+    nightlyHour: 20,
+    vt: null,
+    signatureUrl: null,          // detached Ed25519 signature of patches.json; null = <patchesUrl>.sig
+    publicKeyFile: "/etc/betsa/patches.pub", // PEM, or the raw 32-byte key in base64
+    // false until every device has the key: without one, patches still run (sha256 checked) so a
+    // patch can deliver it; once the key file exists, manifests must verify either way
+    requireSignature: false,
+    downloadDir: null,           // <stateDir>/patches
+    channel: "stable",           // pilot | beta | stable: takes patches released to this channel (see patch-targeting.js)
+  },
+};
+
+/* -------- env overrides: [ENV_NAME, dotted.path, type] -------- */
+const ENV_MAP = [
+  ["KIOSK_PORT",                 "port",                    "number"],
+  ["KIOSK_HUB",                  "hub",                     "string"],
+  ["KIOSK_TZ",                   "timezone",                "string"],
+  ["KIOSK_STATE_DIR",            "stateDir",                "string"],
+  ["KIOSK_APP_DIR",              "appDir",                  "string"],
+  ["KIOSK_ANNOUNCE_INTERVAL_MS", "announceIntervalMs",      "number"],
+  ["KIOSK_USER",                 "desktop.user",            "string"],
+  ["DISPLAY",                    "desktop.display",         "string"],
+  ["XAUTHORITY",                 "desktop.xauthority",      "string"],
+  ["KIOSK_AUTH_MODE",            "auth.mode",               "string"],
+  ["KIOSK_HUB_WS_URL",           "hubChannel.url",          "string"],
+  ["PATCHES_URL",                "autopatch.patchesUrl",    "string"],
+  ["AUTOPATCH_LOG_FILE",         "autopatch.logFile",       "string"],
+  ["AUTOPATCH_PATCH_TIMEOUT_MS", "autopatch.patchTimeoutMs", "number"],
+  ["AUTOPATCH_VT",               "autopatch.vt",            "number"],
+  ["AUTOPATCH_PUBLIC_KEY_FILE",  "autopatch.publicKeyFile", "string"],
+  ["AUTOPATCH_CHANNEL",          "autopatch.channel",       "string"],
+];
+
+/* -------- schema --------
+ * { type: "object", props: {...}, required: [...] }   fixed keys, unknown keys are rejected
+ * { type: "array", items: schema, minItems, nullable }
+ * { type: "string"|"integer"|"number"|"boolean", min, max, pattern, nullable }
+ */
+const SCREEN_SCHEMA = {
+  type: "object",
+  required: ["id", "connector"],
+  props: {
+    id:         { type: "string", pattern: /^\d+$/ },
+    connector:  { type: "string", pattern: /^[A-Za-z0-9-]+$/ },
+    debugPort:  { type: "integer", min: 1024, max: 65535, nullable: true },
+    profileDir: { type: "string", pattern: /^\//, nullable: true },
+  },
+};
+
+const HHMM = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const DAY_SPEC = /^(sun|mon|tue|wed|thu|fri|sat)(-(sun|mon|tue|wed|thu|fri|sat))?$/;
+
+const SCHEMA = {
+  type: "object",
+  props: {
+    port:               { type: "integer", min: 1, max: 65535 },
+    hub:                { type: "string", pattern: /^https?:\/\/[^/]+/ },
+    timezone:           { type: "string", check: isValidTimeZone },
+    stateDir:           { type: "string", pattern: /^\// },
+    appDir:             { type: "string", pattern: /^\// },
+    announceIntervalMs: { type: "integer", min: 10000 },
+    desktop: {
+      type: "object",
+      props: {
+        user:       { type: "string", pattern: /^[a-z_][a-z0-9_-]*$/ },
+        display:    { type: "string", pattern: /^:\d+(\.\d+)?$/ },
+        xauthority: { type: "string", nullable: true },
+      },
+    },
+    screens: { type: "array", items: SCREEN_SCHEMA, minItems: 1, nullable: true },
+    auth: {
+      type: "object",
+      props: {
+        mode:          { type: "string", pattern: /^(enforce|log|off)$/ },
+        tokenFile:     { type: "string", pattern: /^\// },
+        hubSecretFile: { type: "string", pattern: /^\// },
+        adminTokenFile: { type: "string", pattern: /^\// },
+        maxSkewMs:     { type: "integer", min: 1000 },
+      },
+    },
+    watchdog: {
+      type: "object",
+      props: {
+        enabled:            { type: "boolean" },
+        probeIntervalMs:    { type: "integer", min: 5000 },
+        probeTimeoutMs:     { type: "integer", min: 1000 },
+        failThreshold:      { type: "integer", min: 1, max: 20 },
+        settleMs:           { type: "integer", min: 1000 },
+        bootGraceMs:        { type: "integer", min: 0 },
+        healthyResetMs:     { type: "integer", min: 10000 },
+        relaunchCooldownMs: { type: "integer", min: 10000 },
+      },
+    },
+    hubChannel: {
+      type: "object",
+      props: {
+        enabled:          { type: "boolean" },
+        url:              { type: "string", pattern: /^wss?:\/\/[^/]+/, nullable: true },
+        reconnectMinMs:   { type: "integer", min: 500 },
+        reconnectMaxMs:   { type: "integer", min: 1000 },
+        pingIntervalMs:   { type: "integer", min: 5000 },
+        commandTimeoutMs: { type: "integer", min: 1000 },
+        allowInsecure:    { type: "boolean" },
+      },
+    },
+    outbox: {
+      type: "object",
+      props: {
+        maxEntries: { type: "integer", min: 10, max: 10000 },
+        retryMinMs: { type: "integer", min: 100 },
+        retryMaxMs: { type: "integer", min: 1000 },
+      },
+    },
+    screenshotHistory: {
+      type: "object",
+      props: {
+        enabled:        { type: "boolean" },
+        intervalMs:     { type: "integer", min: 60 * 1000 },
+        format:         { type: "string", pattern: /^(jpeg|png|webp)$/ },
+        width:          { type: "integer", min: 16, max: 8192, nullable: true },
+        quality:        { type: "integer", min: 1, max: 100 },
+        maxCount:       { type: "integer", min: 1 },
+        maxBytes:       { type: "integer", min: 1024 * 1024 },
+        pushThumbnails: { type: "boolean" },
+        thumbnailWidth: { type: "integer", min: 16, max: 1920 },
+      },
+    },
+    frameAnalysis: {
+      type: "object",
+      props: {
+        enabled:       { type: "boolean" },
+        intervalMs:    { type: "integer", min: 10 * 1000 },
+        frozenAfterMs: { type: "integer", min: 60 * 1000 },
+        frozenScreens: { type: "array", items: { type: "string", pattern: /^\d+$/ } },
+        blankRatio:    { type: "number", min: 0.5, max: 1 },
+        blankAfterMs:  { type: "integer", min: 0 },
+      },
+    },
+    recording: {
+      type: "object",
+      props: {
+        defaultSeconds: { type: "integer", min: 1, max: 300 },
+        maxSeconds:     { type: "integer", min: 1, max: 300 },
+        fps:            { type: "integer", min: 1, max: 30 },
+        maxWidth:       { type: "integer", min: 160, max: 3840 },
+        maxBytes:       { type: "integer", min: 1024 * 1024 },
+      },
+    },
+    consoleLog: {
+      type: "object",
+      props: {
+        enabled:         { type: "boolean" },
+        maxFileBytes:    { type: "integer", min: 64 * 1024 },
+        maxFiles:        { type: "integer", min: 1, max: 20 },
+        burstErrors:     { type: "integer", min: 1 },
+        burstWindowMs:   { type: "integer", min: 1000 },
+        burstCooldownMs: { type: "integer", min: 0 },
+      },
+    },
+    inspect: {
+      type: "object",
+      props: {
+        timeoutMs:      { type: "integer", min: 100 },
+        maxTimeoutMs:   { type: "integer", min: 1000, max: 5 * 60 * 1000 },
+        maxResultBytes: { type: "integer", min: 1024 },
+        maxMatches:     { type: "integer", min: 1, max: 1000 },
+      },
+    },
+    audit: {
+      type: "object",
+      props: {
+        maxFileBytes: { type: "integer", min: 64 * 1024 },
+      },
+    },
+    networkLog: {
+      type: "object",
+      props: {
+        enabled:       { type: "boolean" },
+        windowMs:      { type: "integer", min: 60 * 1000 },
+        maxEntries:    { type: "integer", min: 10, max: 100000 },
+        redactHeaders: { type: "array", items: { type: "string", pattern: /^[a-z0-9-]+$/ } },
+      },
+    },
+    perf: {
+      type: "object",
+      props: {
+        enabled:        { type: "boolean" },
+        intervalMs:     { type: "integer", min: 5 * 1000 },
+        historySize:    { type: "integer", min: 10, max: 10000 },
+        reloadHeapMb:   { type: "integer", min: 16, nullable: true },
+        reloadNodes:    { type: "integer", min: 1000, nullable: true },
+        restartRssMb:   { type: "integer", min: 64, nullable: true },
+        sustainSamples: { type: "integer", min: 1, max: 100 },
+        cooldownMs:     { type: "integer", min: 0 },
+      },
+    },
+    hostHealth: {
+      type: "object",
+      props: {
+        diskPaths:       { type: "array", items: { type: "string", pattern: /^\// }, minItems: 1 },
+        tempWarnC:       { type: "number", min: 30, max: 120 },
+        tempCritC:       { type: "number", min: 30, max: 120 },
+        diskWarnPct:     { type: "number", min: 0, max: 100 },
+        diskCritPct:     { type: "number", min: 0, max: 100 },
+        memWarnPct:      { type: "number", min: 0, max: 100 },
+        memCritPct:      { type: "number", min: 0, max: 100 },
+        swapWarnPct:     { type: "number", min: 0, max: 100 },
+        swapCritPct:     { type: "number", min: 0, max: 100 },
+        oomWarn:         { type: "integer", min: 1 },
+        oomCrit:         { type: "integer", min: 1 },
+        failedUnitsWarn: { type: "integer", min: 1 },
+        failedUnitsCrit: { type: "integer", min: 1 },
+      },
+    },
+    maintenance: {
+      type: "object",
+      props: {
+        enabled:        { type: "boolean" },
+        rebootDays:     { type: "array", items: { type: "string", pattern: DAY_SPEC } },
+        rebootAt:       { type: "string", pattern: HHMM },
+        maxUptimeDays:  { type: "integer", min: 1, nullable: true },
+        windowStart:    { type: "string", pattern: HHMM },
+        windowEnd:      { type: "string", pattern: HHMM },
+        windowDays:     { type: "array", items: { type: "string", pattern: DAY_SPEC }, minItems: 1, nullable: true },
+        staggerMinutes: { type: "integer", min: 0, max: 720 },
+      },
+    },
+    reboot: {
+      type: "object",
+      props: {
+        defaultMaxWaitMs: { type: "integer", min: 0, nullable: true },
+        maxWaitMs:        { type: "integer", min: 60 * 1000 },
+      },
+    },
+    supervisor: {
+      type: "object",
+      props: {
+        stableAfterMs:     { type: "integer", min: 1000 },
+        crashBackoffMinMs: { type: "integer", min: 100 },
+        crashBackoffMaxMs: { type: "integer", min: 1000 },
+        killTimeoutMs:     { type: "integer", min: 500 },
+      },
+    },
+    autopatch: {
+      type: "object",
+      props: {
+        patchesUrl:     { type: "string", pattern: /^https?:\/\// },
+        logFile:        { type: "string", pattern: /^\// },
+        patchTimeoutMs: { type: "integer", min: 60000 },
+        nightlyHour:    { type: "integer", min: 0, max: 23 },
+        vt:             { type: "integer", min: 1, max: 63, nullable: true },
+        signatureUrl:   { type: "string", pattern: /^https?:\/\//, nullable: true },
+        publicKeyFile:  { type: "string", pattern: /^\// },
+        requireSignature: { type: "boolean" },
+        downloadDir:    { type: "string", pattern: /^\//, nullable: true },
+        channel:        { type: "string", pattern: /^(pilot|beta|stable)$/ },
+      },
+    },
+  },
+};
+
+/* -------- helpers -------- */
+function isPlainObject(v) { return !!v && typeof v === "object" && !Array.isArray(v); }
+
+function isValidTimeZone(tz) {
+  try { new Intl.DateTimeFormat("en-ZA", { timeZone: tz }); return true; }
+  catch { return false; }
+}
+
+function clone(v) { return JSON.parse(JSON.stringify(v)); }
+
+function deepMerge(base, over) {
+  if (!isPlainObject(base) || !isPlainObject(over)) return clone(over);
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? deepMerge(base[k], v) : clone(v);
+  }
+  return out;
+}
+
+function getPath(obj, dotted) {
+  return dotted.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+function setPath(obj, dotted, value) {
+  const keys = dotted.split(".");
+  let o = obj;
+  for (const k of keys.slice(0, -1)) {
+    if (!o[k] || typeof o[k] !== "object") o[k] = {};
+    o = o[k];
+  }
+  if (typeof value === "undefined") delete o[keys[keys.length - 1]];
+  else o[keys[keys.length - 1]] = value;
+}
+// deleting an array item leaves a hole; squeeze them out after each repair pass
+function compactArrays(o) {
+  if (!o || typeof o !== "object") return o;
+  for (const [k, v] of Object.entries(o)) {
+    if (Array.isArray(v)) o[k] = v.filter(x => typeof x !== "undefined");
+    compactArrays(o[k]);
+  }
+  return o;
+}
+
+function deepFreeze(o) {
+  if (o && typeof o === "object" && !Object.isFrozen(o)) {
+    Object.freeze(o);
+    for (const v of Object.values(o)) deepFreeze(v);
+  }
+  return o;
+}
+
+/* -------- validation -------- */
+function validateNode(value, schema, where, errors) {
+  if (value === null && schema.nullable) return;
+
+  switch (schema.type) {
+    case "object": {
+      if (!isPlainObject(value)) { errors.push({ path: where, message: "expected an object" }); return; }
+      for (const k of schema.required || []) {
+        if (value[k] == null) errors.push({ path: where ? `${where}.${k}` : k, message: "required" });
+      }
+      for (const [k, v] of Object.entries(value)) {
+        const childPath = where ? `${where}.${k}` : k;
+        if (!schema.props[k]) {
+          errors.push({ path: childPath, message: "unknown setting" });
+        } else {
+          validateNode(v, schema.props[k], childPath, errors);
+        }
+      }
+      return;
+    }
+    case "array":
+      if (!Array.isArray(value)) { errors.push({ path: where, message: "expected an array" }); return; }
+      if (schema.minItems && value.length < schema.minItems) errors.push({ path: where, message: `needs at least ${schema.minItems} item(s)` });
+      value.forEach((v, i) => validateNode(v, schema.items, `${where}.${i}`, errors));
+      return;
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value) || (schema.type === "integer" && !Number.isInteger(value))) {
+        errors.push({ path: where, message: `expected ${schema.type}` });
+        return;
+      }
+      if (typeof schema.min === "number" && value < schema.min) errors.push({ path: where, message: `must be >= ${schema.min}` });
+      if (typeof schema.max === "number" && value > schema.max) errors.push({ path: where, message: `must be <= ${schema.max}` });
+      return;
+    case "string":
+      if (typeof value !== "string" || !value) { errors.push({ path: where, message: "expected non-empty string" }); return; }
+      if (schema.pattern && !schema.pattern.test(value)) errors.push({ path: where, message: `does not match ${schema.pattern}` });
+      if (schema.check && !schema.check(value)) errors.push({ path: where, message: "invalid value" });
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push({ path: where, message: "expected boolean" });
+      return;
+    default:
+      errors.push({ path: where, message: `schema has unknown type ${schema.type}` });
+  }
+}
+
+/** Returns an array of { path, message }; empty when valid. */
+function validateConfig(cfg) {
+  const errors = [];
+  validateNode(cfg, SCHEMA, "", errors);
+
+  // cross-field: screen ids, connectors and debug ports must be unique
+  if (Array.isArray(cfg.screens)) {
+    for (const key of ["id", "connector", "debugPort"]) {
+      const seen = new Set();
+      cfg.screens.forEach((s, i) => {
+        if (!s || s[key] == null) return;
+        if (seen.has(s[key])) errors.push({ path: `screens.${i}.${key}`, message: `duplicate ${key} ${s[key]}` });
+        seen.add(s[key]);
+      });
+    }
+  }
+  return errors;
+}
+
+/* -------- derived values -------- */
+function resolveDerived(cfg) {
+  const home = `/home/${cfg.desktop.user}`;
+  if (!cfg.desktop.xauthority) cfg.desktop.xauthority = `${home}/.Xauthority`;
+  if (!cfg.autopatch.signatureUrl) cfg.autopatch.signatureUrl = `${cfg.autopatch.patchesUrl}.sig`;
+  if (!cfg.autopatch.downloadDir) cfg.autopatch.downloadDir = path.join(cfg.stateDir, "patches");
+  if (!cfg.hubChannel.url) cfg.hubChannel.url = `${cfg.hub.replace(/^http/, "ws").replace(/\/+$/, "")}/device/ws`;
+  return cfg;
+}
+
+function repairSetting(cfg, dotted, pass) {
+  const fallback = getPath(DEFAULTS, dotted);
+  const parent = dotted.split(".").slice(0, -1).join(".");
+  if (pass > 0 && parent && typeof getPath(DEFAULTS, parent) === "undefined") setPath(cfg, parent, undefined);
+  else setPath(cfg, dotted, typeof fallback === "undefined" ? undefined : clone(fallback));
+}
+
+/* -------- loader -------- */
+function readFileLayer(file) {
+  try {
+    const raw = fs.readFileSync(file, "utf8");
+    const obj = JSON.parse(raw);
+    if (!isPlainObject(obj)) throw new Error("top level must be an object");
+    return { layer: obj, error: null };
+  } catch (e) {
+    if (e.code === "ENOENT") return { layer: {}, error: null };
+    return { layer: {}, error: e.message };
+  }
+}
+
+function readEnvLayer(env) {
+  const layer = {};
+  const applied = [];
+  for (const [name, dotted, type] of ENV_MAP) {
+    const raw = env[name];
+    if (typeof raw === "undefined" || raw === "") continue;
+    const value = type === "number" ? Number(raw) : raw;
+    setPath(layer, dotted, value);
+    applied.push(name);
+  }
+  return { layer, applied };
+}
+
+/**
+ * Build the effective config. Invalid settings are reported and replaced
+ * by their default so a typo in kiosk.json never takes a screen down.
+ */
+function loadConfig({ file = CONFIG_FILE, env = process.env } = {}) {
+  const fileLayer = readFileLayer(file);
+  const envLayer = readEnvLayer(env);
+
+  // start from a copy: the result is repaired, derived and frozen in place
+  let merged = deepMerge(deepMerge(clone(DEFAULTS), fileLayer.layer), envLayer.layer);
+
+  // first pass puts defaults back (or drops settings that have none); later
+  // passes drop the enclosing entry, e.g. a screen that lost its required connector
+  const errors = validateConfig(merged);
+  let pending = errors;
+  for (let pass = 0; pending.length && pass < 3; pass++) {
+    for (const err of pending) repairSetting(merged, err.path, pass);
+    compactArrays(merged);
+    pending = validateConfig(merged);
+  }
+  if (pending.length) merged = clone(DEFAULTS);
+
+  const sources = {
+    file: fs.existsSync(file) ? file : null,
+    fileError: fileLayer.error,
+    env: envLayer.applied,
+  };
+  return { config: deepFreeze(resolveDerived(merged)), sources, errors };
+}
+
+const loaded = loadConfig();
+const config = loaded.config;
+
+/** Absolute path of a file inside the kiosk state directory. */
+function statePath(name) { return path.join(config.stateDir, name); }
+
+/** Effective config plus where it came from; served at GET /config. */
+function describeConfig() {
+  return { config, sources: loaded.sources, errors: loaded.errors };
+}
+
+function logConfig(log = console) {
+  const { sources, errors } = loaded;
+  log.log(`[config] file: ${sources.file || `${CONFIG_FILE} (absent, using defaults)`}`);
+  if (sources.fileError) log.error(`[config] could not read ${CONFIG_FILE}: ${sources.fileError}`);
+  if (sources.env.length) log.log(`[config] env overrides: ${sources.env.join(", ")}`);
+  for (const e of errors) log.warn(`[config] invalid ${e.path || "(root)"}: ${e.message} - ignored, default applies`);
+  log.log(`[config] effective: ${JSON.stringify(config)}`);
+}
+
+module.exports = { config, statePath, describeConfig, logConfig, loadConfig, validateConfig, CONFIG_FILE };
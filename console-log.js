@@ -0,0 +1,218 @@
+// console-log.js — background collector of browser console output per screen, rotating JSONL store + query
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { config, statePath } = require("./config");
+const { getSession } = require("./cdp");
+
+const CFG = config.consoleLog;
+const LOG_DIR = statePath("console-logs");
+const FLUSH_MS = 1000;
+const MAX_TEXT = 2000;
+const LEVELS = ["debug", "info", "warning", "error"];
+
+/* -------- entry normalisation -------- */
+// console.* type / Log.entryAdded level -> one of LEVELS
+function levelOf(kind) {
+  switch (kind) {
+    case "error": case "assert": return "error";
+    case "warning": case "warn": return "warning";
+    case "debug": case "verbose": case "trace": return "debug";
+    default: return "info";
+  }
+}
+function clip(text) {
+  text = String(text ?? "");
+  return text.length > MAX_TEXT ? `${text.slice(0, MAX_TEXT)}…` : text;
+}
+function remoteObjectText(a) {
+  if (!a) return "";
+  if (typeof a.value !== "undefined") return typeof a.value === "string" ? a.value : JSON.stringify(a.value);
+  return a.description || a.unserializableValue || a.type;
+}
+
+/** CDP event -> stored entry, or null for events we do not keep. */
+function entryFromEvent(screen, msg) {
+  const p = msg.params || {};
+  if (msg.method === "Runtime.consoleAPICalled") {
+    const frame = p.stackTrace && p.stackTrace.callFrames && p.stackTrace.callFrames[0];
+    return {
+      ts: new Date(p.timestamp || Date.now()).toISOString(), screen, source: "console", level: levelOf(p.type),
+      text: clip((p.args || []).map(remoteObjectText).join(" ")),
+      url: frame ? frame.url : null, line: frame ? frame.lineNumber + 1 : null,
+    };
+  }
+  if (msg.method === "Log.entryAdded" && p.entry) {
+    const e = p.entry;
+    return {
+      ts: new Date(e.timestamp || Date.now()).toISOString(), screen, source: `browser:${e.source}`, level: levelOf(e.level),
+      text: clip(e.text), url: e.url || null, line: typeof e.lineNumber === "number" ? e.lineNumber + 1 : null,
+    };
+  }
+  if (msg.method === "Runtime.exceptionThrown" && p.exceptionDetails) {
+    const d = p.exceptionDetails;
+    const desc = d.exception && (d.exception.description || d.exception.value);
+    return {
+      ts: new Date(p.timestamp || Date.now()).toISOString(), screen, source: "exception", level: "error",
+      text: clip(desc || d.text), url: d.url || null, line: typeof d.lineNumber === "number" ? d.lineNumber + 1 : null,
+    };
+  }
+  return null;
+}
+
+/* -------- rotating store: <id>.log, <id>.log.1, ... (JSON lines) -------- */
+function fileFor(screen, n = 0) {
+  return path.join(LOG_DIR, `${screen}.log${n ? `.${n}` : ""}`);
+}
+
+function appendLines(screen, lines) {
+  try {
+    fs.mkdirSync(LOG_DIR, { recursive: true });
+    const file = fileFor(screen);
+    let size = 0;
+    try { size = fs.statSync(file).size; } catch { }
+    if (size > 0 && size >= CFG.maxFileBytes) {
+      for (let n = CFG.maxFiles - 1; n >= 1; n--) {
+        const from = fileFor(screen, n - 1);
+        if (fs.existsSync(from)) fs.renameSync(from, fileFor(screen, n));
+      }
+      if (fs.existsSync(file)) fs.unlinkSync(file); // maxFiles 1: start over
+    }
+    fs.appendFileSync(file, lines.join("\n") + "\n");
+  } catch (e) { console.error(`[console-log] write failed for screen ${screen}:`, e.message); }
+}
+
+/**
+ * Stored entries for one screen, oldest first.
+ *   since  ISO time or ms epoch
+ *   level  minimum level (debug | info | warning | error)
+ *   q      case-insensitive substring of text or url
+ *   limit  newest N matches (default 500)
+ */
+function queryLog(screen, { since, level, q, limit = 500 } = {}) {
+  const sinceMs = since ? (/^\d+$/.test(String(since)) ? Number(since) : Date.parse(since)) : null;
+  const minLevel = level ? LEVELS.indexOf(level) : 0;
+  const needle = q ? String(q).toLowerCase() : null;
+  const out = [];
+  for (let n = CFG.maxFiles - 1; n >= 0; n--) {
+    let text;
+    try { text = fs.readFileSync(fileFor(screen, n), "utf8"); } catch { continue; }
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      let e;
+      try { e = JSON.parse(line); } catch { continue; }
+      if (sinceMs && Date.parse(e.ts) < sinceMs) continue;
+      if (LEVELS.indexOf(e.level) < minLevel) continue;
+      if (needle && !`${e.text} ${e.url || ""}`.toLowerCase().includes(needle)) continue;
+      out.push(e);
+    }
+  }
+  return out.slice(-limit);
+}
+
+/* -------- one collector per screen -------- */
+const EVENTS = ["Runtime.consoleAPICalled", "Runtime.exceptionThrown", "Log.entryAdded"];
+
+class ConsoleCollector {
+  constructor(screen, port, hooks) {
+    this.screen = screen;
+    this.port = port;
+    this.hooks = hooks;
+    this.buffer = [];
+    this.errorTimes = [];     // recent error timestamps (ms) for burst detection
+    this.lastBurstAt = 0;
+    this.lastEntryAt = null;
+    this.counts = { debug: 0, info: 0, warning: 0, error: 0 };
+
+    this.session = getSession(screen, port);
+    for (const method of EVENTS) {
+      this.session.on(method, params => {
+        const e = entryFromEvent(this.screen, { method, params });
+        if (e) this.add(e);
+      });
+    }
+    this.session.enable("Runtime");
+    this.session.enable("Log");
+    this.session.keepAlive();
+  }
+
+  add(e) {
+    this.buffer.push(JSON.stringify(e));
+    this.counts[e.level]++;
+    this.lastEntryAt = e.ts;
+    if (e.level === "error") this.trackError(e);
+  }
+
+  trackError(e) {
+    const now = Date.now();
+    this.errorTimes.push(now);
+    while (this.errorTimes.length && now - this.errorTimes[0] > CFG.burstWindowMs) this.errorTimes.shift();
+    if (this.errorTimes.length < CFG.burstErrors || now - this.lastBurstAt < CFG.burstCooldownMs) return;
+    this.lastBurstAt = now;
+    this.flush();
+    const recent = queryLog(this.screen, { level: "error", limit: 5 });
+    this.hooks.log.warn(`[console-log] screen ${this.screen}: ${this.errorTimes.length} errors in ${CFG.burstWindowMs / 1000}s`);
+    this.hooks.onBurst(this.screen, {
+      count: this.errorTimes.length,
+      windowMs: CFG.burstWindowMs,
+      latest: e,
+      samples: recent.map(r => ({ ts: r.ts, text: r.text, url: r.url })),
+    });
+  }
+
+  flush() {
+    if (!this.buffer.length) return;
+    const lines = this.buffer;
+    this.buffer = [];
+    appendLines(this.screen, lines);
+  }
+
+  status() {
+    const { connected, connectedSince } = this.session.status();
+    return { attached: connected, attachedSince: connectedSince, lastEntryAt: this.lastEntryAt, counts: this.counts };
+  }
+}
+
+/**
+ * @param {object} opts
+ *   listScreens()          [{ id, debugPort }]
+ *   onBurst(id, summary)   error burst on a screen (rate-limited by burstCooldownMs)
+ */
+function initConsoleLogs(opts) {
+  const { listScreens, onBurst = () => {}, log = console } = opts;
+  const collectors = {};
+  const hooks = { onBurst, log };
+
+  function sync() {
+    for (const s of listScreens()) {
+      const c = collectors[s.id];
+      if (c && c.port === s.debugPort) continue;
+      if (c) c.flush(); // keep what the old port's collector still buffers
+      collectors[s.id] = new ConsoleCollector(s.id, s.debugPort, hooks);
+    }
+  }
+  function flushAll() { for (const c of Object.values(collectors)) c.flush(); }
+
+  function start() {
+    if (!CFG.enabled) { log.log("[console-log] disabled by config"); return; }
+    sync();
+    log.log(`[console-log] collecting ${Object.keys(collectors).length} screen(s) into ${LOG_DIR}`);
+    setInterval(flushAll, FLUSH_MS);
+    setInterval(sync, 30 * 1000);
+  }
+
+  function query(id, filters) {
+    const c = collectors[id];
+    if (c) c.flush(); // include what is still buffered
+    return queryLog(String(id), filters);
+  }
+
+  function status() {
+    return Object.fromEntries(Object.entries(collectors).map(([id, c]) => [id, c.status()]));
+  }
+
+  return { start, query, status };
+}
+
+module.exports = { initConsoleLogs, queryLog, entryFromEvent, LEVELS, LOG_DIR };
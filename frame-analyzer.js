@@ -0,0 +1,148 @@
+// frame-analyzer.js — frozen / blank screen detection from periodic captures (pixel hash + dominant colour)
+"use strict";
+
+const crypto = require("crypto");
+const { config } = require("./config");
+
+const CFG = config.frameAnalysis;
+const SAMPLE_W = 64, SAMPLE_H = 36; // hash and colour analysis work on a tiny copy
+
+let _sharpTried = false, _sharp = null;
+function tryLoadSharp() {
+  if (_sharpTried) return _sharp;
+  _sharpTried = true;
+  try { _sharp = require("sharp"); } catch (e) { console.warn("[frames] sharp not available:", e.message); _sharp = null; }
+  return _sharp;
+}
+
+/**
+ * Analyse one encoded capture.
+ * Returns { hash, dominant: "#rrggbb", ratio } where ratio is the share of
+ * sampled pixels within one 16-level bucket of the dominant colour.
+ */
+async function analyzeImage(buffer) {
+  const sharp = tryLoadSharp();
+  if (!sharp) throw new Error("sharp not available");
+
+  const px = await sharp(buffer).removeAlpha().resize(SAMPLE_W, SAMPLE_H, { fit: "fill" }).raw().toBuffer();
+  const hash = crypto.createHash("sha1").update(px).digest("hex");
+
+  const buckets = new Map(); // 12-bit colour -> { n, r, g, b } (sums, for the average colour)
+  for (let i = 0; i < px.length; i += 3) {
+    const key = ((px[i] >> 4) << 8) | ((px[i + 1] >> 4) << 4) | (px[i + 2] >> 4);
+    const b = buckets.get(key) || { n: 0, r: 0, g: 0, b: 0 };
+    b.n++; b.r += px[i]; b.g += px[i + 1]; b.b += px[i + 2];
+    buckets.set(key, b);
+  }
+  let best = { n: 0, r: 0, g: 0, b: 0 };
+  for (const b of buckets.values()) if (b.n > best.n) best = b;
+  const hex = sum => Math.round(sum / Math.max(1, best.n)).toString(16).padStart(2, "0");
+  return { hash, dominant: `#${hex(best.r)}${hex(best.g)}${hex(best.b)}`, ratio: best.n / (px.length / 3) };
+}
+
+class FrameAnalyzer {
+  /**
+   * @param {object} opts
+   *   capture(id, opts)        screenshot.captureScreenshot
+   *   listScreens()            [{ id }]
+   *   isConnected(id)          skip screens without a monitor
+   *   onChange(id, kind, st)   kind "frozen" | "blank"; called when a flag is raised or cleared
+   */
+  constructor({ capture, listScreens, isConnected, onChange = () => {}, log = console }) {
+    this.capture = capture;
+    this.listScreens = listScreens;
+    this.isConnected = isConnected;
+    this.onChange = onChange;
+    this.log = log;
+    this.state = {}; // id -> see _fresh()
+    this.timer = null;
+    this.running = false;
+  }
+
+  _fresh() {
+    return {
+      checkedAt: null, error: null,
+      hash: null, unchangedSince: null, frozen: false,
+      dominant: null, ratio: null, blankSince: null, blank: false,
+    };
+  }
+
+  start() {
+    if (!CFG.enabled) { this.log.log("[frames] disabled by config"); return; }
+    if (this.timer) return;
+    this.log.log(`[frames] analysing every ${CFG.intervalMs / 1000}s (frozen after ${CFG.frozenAfterMs / 60000} min)`);
+    this.timer = setInterval(() => this.checkAll(), CFG.intervalMs);
+  }
+
+  async checkAll() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (const s of this.listScreens()) {
+        if (!this.isConnected(s.id)) { delete this.state[s.id]; continue; }
+        await this.checkOne(s.id);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async checkOne(id) {
+    const st = this.state[id] || (this.state[id] = this._fresh());
+    const now = Date.now();
+    let a;
+    try {
+      // small lossless copy of the visible viewport: cheap every minute, and no
+      // encoder noise to make a still screen look like it changed
+      const img = await this.capture(id, { format: "png", width: SAMPLE_W * 4, quality: 100, crop: null, viewportOnly: true });
+      a = await analyzeImage(img.buffer);
+    } catch (e) {
+      st.error = e.message;
+      st.checkedAt = new Date(now).toISOString();
+      this.log.warn(`[frames] screen ${id} not analysed: ${e.message}`);
+      return;
+    }
+    st.error = null;
+    st.checkedAt = new Date(now).toISOString();
+
+    // frozen: identical pixels for frozenAfterMs
+    if (a.hash !== st.hash) { st.hash = a.hash; st.unchangedSince = now; }
+    const watchFrozen = CFG.frozenScreens.includes(String(id));
+    this._flag(id, st, "frozen", watchFrozen && now - st.unchangedSince >= CFG.frozenAfterMs);
+
+    // blank: one colour covers nearly everything for blankAfterMs
+    st.dominant = a.dominant;
+    st.ratio = Math.round(a.ratio * 1000) / 1000;
+    if (a.ratio >= CFG.blankRatio) { if (!st.blankSince) st.blankSince = now; }
+    else st.blankSince = null;
+    this._flag(id, st, "blank", !!st.blankSince && now - st.blankSince >= CFG.blankAfterMs);
+  }
+
+  _flag(id, st, kind, value) {
+    if (st[kind] === value) return;
+    st[kind] = value;
+    if (value) this.log.warn(`[frames] screen ${id} looks ${kind}${kind === "blank" ? ` (${st.dominant}, ${Math.round(st.ratio * 100)}%)` : ""}`);
+    else this.log.log(`[frames] screen ${id} no longer ${kind}`);
+    this.onChange(id, kind, this.status()[id]);
+  }
+
+  /** Per-screen flags for /diagnostic and the hub announce. */
+  status() {
+    const now = Date.now();
+    const out = {};
+    for (const [id, st] of Object.entries(this.state)) {
+      out[id] = {
+        frozen: st.frozen,
+        unchangedForMs: st.unchangedSince ? now - st.unchangedSince : null,
+        blank: st.blank,
+        dominantColor: st.dominant,
+        dominantRatio: st.ratio,
+        checkedAt: st.checkedAt,
+        error: st.error,
+      };
+    }
+    return out;
+  }
+}
+
+module.exports = { FrameAnalyzer, analyzeImage };
@@ -2,13 +2,18 @@
 // hdmiBrowsersHelper.js (hotplug + non-blocking stop for betsa-browsers.service)
 // - No extensions, no incognito
 // - Background-friendly supervisor (don’t await start())
-// - Reacts to HDMI plug/unplug via udevadm monitor
+// - One slot per screen: a crashed browser is relaunched alone, with crash-loop backoff
+// - Reacts to HDMI plug/unplug via udevadm monitor (re-layout + relaunch all)
 // - Includes stopBrowsersServiceNow() to stop betsa-browsers.service without blocking
 
 "use strict";
 const fs = require("fs");
 const path = require("path");
 const { spawn, execSync } = require("child_process");
+const { config } = require("./config");
+const { refreshScreens } = require("./screens");
+
+const CFG = config.supervisor;
 
 // ---------------- tiny utils ----------------
 function which(cmd) { try { return execSync(`command -v ${cmd}`).toString().trim(); } catch { return null; } }
@@ -63,10 +68,10 @@ function stopBrowsersServiceNow(unit = "betsa-browsers.service") {
 class HdmiBrowserSupervisor {
   // Replace the entire constructor in class HdmiBrowserSupervisor
   constructor(opts = {}) {
-    const desktopUser = opts.desktopUser || "admin";
-    const display = opts.display || ":0";
+    const desktopUser = opts.desktopUser || config.desktop.user;
+    const display = opts.display || config.desktop.display;
     const home = opts.home || `/home/${desktopUser}`;
-    const xauth = opts.xauthority || `${home}/.Xauthority`;
+    const xauth = opts.xauthority || config.desktop.xauthority || `${home}/.Xauthority`;
     const uidStr = shOut(`id -u ${desktopUser}`).trim();
     const uid = Number(uidStr || process.getuid());
     const xdg = opts.xdgRuntimeDir || `/run/user/${uid}`;
@@ -79,22 +84,26 @@ class HdmiBrowserSupervisor {
       which("chromium-browser") ||
       "/usr/bin/chromium";
 
-    const prof1 = opts.profile1 || `${home}/.config/single-profile-1`;
-    const prof2 = opts.profile2 || `${home}/.config/single-profile-2`;
-
-    const hdmi1Name = opts.hdmi1Name || "HDMI-1";
-    const hdmi2Name = opts.hdmi2Name || "HDMI-2";
+    // () => [{ id, connector, debugPort, profileDir }], re-read on every (re)launch
+    const screens = opts.screens || refreshScreens;
 
     const logDir = opts.logDir || `${home}/.local/share/hdmi-launcher`;
     fs.mkdirSync(logDir, { recursive: true });
 
-    this.cfg = { desktopUser, display, home, xauth, uid, xdg, isRoot, browser, prof1, prof2, hdmi1Name, hdmi2Name, logDir };
+    this.cfg = { desktopUser, display, home, xauth, uid, xdg, isRoot, browser, screens, logDir };
 
     process.env.DISPLAY = display;
     process.env.XAUTHORITY = xauth;
     process.env.XDG_RUNTIME_DIR = xdg;
 
-    this.children = [];
+    this.slots = {};    // screen id -> slot (see _slot)
+    this.launches = {}; // screen id -> launches since start
+    this.restarts = 0;  // single-browser relaunches after an exit
+    this.restartsAll = 0; // full re-layout + relaunch rounds (hotplug, POST /supervisor/restart)
+    this.lastRestartAt = null;
+    this.startedAt = null;
+    this._relaunchingAll = false;
+    this._restartAllQueued = null; // reason of a restartAll asked for while one was running
     this._running = false;
     this._stopping = false;
     this._hotplug = null;
@@ -137,21 +146,33 @@ class HdmiBrowserSupervisor {
     return outputs;
   }
 
-  layoutByPort() {
-    const H1 = this.cfg.hdmi1Name;
-    const H2 = this.cfg.hdmi2Name;
-
-    try { sh(`DISPLAY=${this.cfg.display} xrandr --output ${H1} --auto --primary --pos 0x0`); } catch { }
-    const q1 = this.xrandrQuery();
-    const h1Up = q1[H1] && q1[H1].status === "connected" && Number.isFinite(q1[H1].width);
-
-    try { sh(`DISPLAY=${this.cfg.display} xrandr --output ${H2} --auto ${h1Up ? `--right-of ${H1}` : ""}`); } catch { }
+  // Lay connected outputs out left-to-right in screen order: the first one is
+  // primary at 0x0, each next one --right-of the previous connected output.
+  // Returns { wins: { [screenId]: { pos, size } | null }, debugQ }
+  layoutByPort(screens) {
+    let prev = null;
+    const q0 = this.xrandrQuery();
+    for (const s of screens) {
+      const o = q0[s.connector];
+      if (!o) continue; // connector not exposed by this GPU
+      if (o.status !== "connected") {
+        // --auto on a disconnected output releases its CRTC
+        try { sh(`DISPLAY=${this.cfg.display} xrandr --output ${s.connector} --auto`); } catch { }
+        continue;
+      }
+      const place = prev ? `--right-of ${prev}` : "--primary --pos 0x0";
+      try { sh(`DISPLAY=${this.cfg.display} xrandr --output ${s.connector} --auto ${place}`); } catch { }
+      const q = this.xrandrQuery();
+      if (q[s.connector] && Number.isFinite(q[s.connector].width)) prev = s.connector;
+    }
 
     const q2 = this.xrandrQuery();
     const mkWin = (o) => o && o.status === "connected" && [o.width, o.height, o.x, o.y].every(Number.isFinite)
       ? { pos: `${o.x},${o.y}`, size: `${o.width},${o.height}` } : null;
 
-    return { win1: mkWin(q2[H1]), win2: mkWin(q2[H2]), debugQ: q2 };
+    const wins = {};
+    for (const s of screens) wins[s.id] = mkWin(q2[s.connector]);
+    return { wins, debugQ: q2 };
   }
 
   killChromium() { try { sh(`pkill -f ${this.cfg.browser}`); } catch { } }
@@ -204,8 +225,9 @@ class HdmiBrowserSupervisor {
         if (this._debounce) return;
         this._debounce = setTimeout(() => {
           this._debounce = null;
+          // outputs may have moved: lay everything out again
           console.log(ts(), "[hotplug] DRM change detected -> re-layout & restart browsers");
-          for (const k of this.children) { try { k.kill("SIGTERM"); } catch { } }
+          this.restartAll("hotplug").catch(e => console.error(ts(), "[supervisor] hotplug restart failed:", e.message));
         }, 300);
       };
       this._hotplug.stdout.on("data", onBump);
@@ -220,77 +242,264 @@ class HdmiBrowserSupervisor {
     if (this._debounce) { clearTimeout(this._debounce); this._debounce = null; }
   }
 
- 
-async start() {
-  if (this._running) return;
-  this._running = true; this._stopping = false;
+  async start() {
+    if (this._running) return;
+    this._running = true; this._stopping = false;
+    this.startedAt = new Date().toISOString();
 
-  // NEW (non-fatal: idle + retry forever)
-  while (!fs.existsSync(this.cfg.browser) && !this._stopping) {
-    console.warn("[supervisor] Chromium not found at", this.cfg.browser, "- will retry in 30s");
-    await sleep(30000);
-  }
-  // if we were told to stop while waiting, just exit cleanly
-  if (this._stopping) { this._running = false; return; }
+    // non-fatal: idle + retry forever
+    while (!fs.existsSync(this.cfg.browser) && !this._stopping) {
+      console.warn("[supervisor] Chromium not found at", this.cfg.browser, "- will retry in 30s");
+      await sleep(30000);
+    }
+    // if we were told to stop while waiting, just exit cleanly
+    if (this._stopping) { this._running = false; return; }
+
+    this.ensureDbusSession();
+    this.applyXmodmap();
 
-  this.ensureDbusSession();
-  this.applyXmodmap();
+    // Wait until X is actually usable (prevents “failed to open display” fast-exit)
+    for (let i = 0; i < 30; i++) {
+      if (xIsReady(this.cfg.display)) break;
+      console.log(ts(), "[supervisor] waiting for X to be ready…");
+      await sleep(1000);
+    }
 
-  // Wait until X is actually usable (prevents “failed to open display” fast-exit)
-  for (let i = 0; i < 30; i++) {
-    if (xIsReady(this.cfg.display)) break;
-    console.log(ts(), "[supervisor] waiting for X to be ready…");
-    await sleep(1000);
+    this._startHotplugWatcher();
+    this._relaunchingAll = true; // a hotplug during the first layout runs after it, as in restartAll
+    try {
+      await this._launchAll();
+    } finally {
+      this._relaunchAllDone();
+    }
   }
 
-  this._startHotplugWatcher();
+  /* ---------------- per-screen slots ---------------- */
+  // One slot per configured screen; each browser lives and restarts on its own.
+  _slot(s) {
+    let slot = this.slots[s.id];
+    if (!slot) {
+      slot = this.slots[s.id] = {
+        id: s.id, child: null, startedAt: null, launches: 0, restarts: 0,
+        crashes: 0,          // consecutive short-lived exits (crash loop)
+        lastExit: null,      // { code, signal, at, uptimeMs }
+        timer: null, nextLaunchAt: null, intentional: false,
+        state: "stopped",    // running | backoff | no-display | stopped
+        win: null,
+      };
+    }
+    slot.screen = s; // connector / port / profile may change with config
+    return slot;
+  }
 
-  while (!this._stopping) {
-    this.killChromium();
-    await sleep(800);
+  _alive(slot) {
+    return !!(slot && slot.child && slot.child.exitCode === null && slot.child.signalCode === null);
+  }
 
-    let win1=null, win2=null, lastQ={};
-    for (let i=0;i<4;i++){
-      const { win1:w1, win2:w2, debugQ } = this.layoutByPort();
-      win1=w1; win2=w2; lastQ=debugQ;
-      if (win1 || win2) break;
-      await sleep(200);
-    }
-    if (!win1 && !win2) {
-      console.log(ts(), "No usable geometry yet. xrandr dump:", JSON.stringify(lastQ, null, 2));
-      await sleep(1500);
-      continue;
+  // Kill every browser, lay the outputs out and launch one browser per connected screen.
+  async _launchAll() {
+    while (!this._stopping) {
+      this.killChromium();
+      await sleep(800);
+
+      const screens = this.cfg.screens();
+      let wins = {}, lastQ = {};
+      for (let i = 0; i < 4; i++) {
+        const { wins: w, debugQ } = this.layoutByPort(screens);
+        wins = w; lastQ = debugQ;
+        if (Object.values(wins).some(Boolean)) break;
+        await sleep(200);
+      }
+      if (!Object.values(wins).some(Boolean)) {
+        console.log(ts(), "No usable geometry yet. xrandr dump:", JSON.stringify(lastQ, null, 2));
+        await sleep(1500);
+        continue;
+      }
+
+      for (const s of screens) {
+        const slot = this._slot(s);
+        clearTimeout(slot.timer); slot.timer = null; slot.nextLaunchAt = null;
+        slot.win = wins[s.id];
+        slot.crashes = 0;
+        if (slot.win) this._launch(slot);
+        else { slot.state = "no-display"; console.log(ts(), `${s.connector} not connected. Skipping browser ${s.id}.`); }
+      }
+      return;
     }
+  }
+
+  _launch(slot) {
+    const s = slot.screen;
+    const child = this.launchChromium({ profileDir: s.profileDir, debugPort: s.debugPort, pos: slot.win.pos, size: slot.win.size, tag: `screen${s.id}` });
+    slot.child = child;
+    slot.startedAt = Date.now();
+    slot.state = "running";
+    slot.intentional = false;
+    slot.launches++;
+    this.launches[s.id] = slot.launches;
+    child.once("exit", (code, signal) => this._onExit(slot, child, code, signal));
+  }
 
-    this.children = [];
-    if (win1) this.children.push(this.launchChromium({ profileDir: this.cfg.prof1, debugPort: 9222, pos: win1.pos, size: win1.size, tag: "hdmi1" }));
-    else     console.log(ts(), "HDMI-1 not connected. Skipping browser 1.");
-    if (win2) this.children.push(this.launchChromium({ profileDir: this.cfg.prof2, debugPort: 9223, pos: win2.pos, size: win2.size, tag: "hdmi2" }));
-    else     console.log(ts(), "HDMI-2 not connected. Skipping browser 2.");
+  _onExit(slot, child, code, signal) {
+    if (slot.child !== child) return; // an older process of this slot
+    const uptimeMs = Date.now() - slot.startedAt;
+    slot.lastExit = { code, signal, at: new Date().toISOString(), uptimeMs };
+    slot.child = null;
+    if (this._stopping || this._relaunchingAll) { slot.state = "stopped"; return; }
+
+    const s = slot.screen;
+    let delay = 800;
+    if (slot.intentional) {
+      slot.crashes = 0;
+    } else if (uptimeMs < CFG.stableAfterMs) {
+      slot.crashes++;
+      delay = Math.min(CFG.crashBackoffMinMs * 2 ** (slot.crashes - 1), CFG.crashBackoffMaxMs);
+      console.warn(ts(), `[supervisor] screen ${s.id} browser died after ${Math.round(uptimeMs / 1000)}s (crash ${slot.crashes}), relaunch in ${Math.round(delay / 1000)}s`);
+    } else {
+      slot.crashes = 0;
+    }
+    try {
+      fs.appendFileSync(path.join(this.cfg.home, "chromium-autostart.log"),
+        `[ ${new Date().toString()} ] Chromium screen ${s.id} quit (code=${code} sig=${signal}) - restarting\n`);
+    } catch { }
+    this._scheduleLaunch(slot, delay);
+  }
 
-    if (this.children.length === 0) { await sleep(2500); continue; }
+  _scheduleLaunch(slot, delay) {
+    clearTimeout(slot.timer);
+    slot.state = "backoff";
+    slot.nextLaunchAt = new Date(Date.now() + delay).toISOString();
+    slot.timer = setTimeout(() => {
+      slot.timer = null;
+      slot.nextLaunchAt = null;
+      if (this._stopping || this._relaunchingAll) return;
+      // geometry of this output only: leave the other screens alone
+      const o = this.xrandrQuery()[slot.screen.connector];
+      if (!o || o.status !== "connected" || ![o.width, o.height, o.x, o.y].every(Number.isFinite)) {
+        slot.state = "no-display";
+        console.log(ts(), `${slot.screen.connector} not connected. Waiting for hotplug to relaunch browser ${slot.id}.`);
+        return;
+      }
+      slot.win = { pos: `${o.x},${o.y}`, size: `${o.width},${o.height}` };
+      slot.restarts++;
+      this.restarts++;
+      this.lastRestartAt = new Date().toISOString();
+      this._launch(slot);
+    }, delay);
+  }
 
-    await new Promise((resolve) => {
-      let done=false;
-      for (const c of this.children) c.once("exit", () => { if (!done){ done=true; resolve(); } });
+  // SIGTERM, then SIGKILL if it hangs; resolves once the process is gone
+  _terminate(child) {
+    return new Promise(resolve => {
+      if (!child || child.exitCode !== null || child.signalCode !== null) return resolve();
+      const hard = setTimeout(() => { try { child.kill("SIGKILL"); } catch { } }, CFG.killTimeoutMs);
+      child.once("exit", () => { clearTimeout(hard); resolve(); });
+      try { child.kill("SIGTERM"); } catch { clearTimeout(hard); resolve(); }
     });
+  }
 
-    if (this._stopping) break;
-    fs.appendFileSync(path.join(this.cfg.home, "chromium-autostart.log"), `[ ${new Date().toString()} ] Chromium quit - restarting\n`);
-    await sleep(800);
+  /**
+   * Restart one screen's Chromium; the other screens keep running.
+   * Returns false when the screen has no slot (never laid out / not connected).
+   */
+  restartBrowser(id) {
+    const slot = this.slots[String(id)];
+    if (!slot || !slot.win || this._relaunchingAll) return false;
+    console.log(ts(), `[supervisor] restarting browser for screen ${id}`);
+    slot.crashes = 0;
+    if (this._alive(slot)) {
+      slot.intentional = true;
+      this._terminate(slot.child);
+    } else {
+      this._scheduleLaunch(slot, 0); // in backoff or waiting: launch now
+    }
+    return true;
   }
 
-  for (const k of this.children) { try { k.kill("SIGTERM"); } catch {} }
-  this._stopHotplugWatcher();
-  this.children = [];
-  this._running = false;
-}
+  /** Stop every browser, lay the outputs out again and relaunch them all. */
+  async restartAll(reason = "requested") {
+    if (!this._running) return false;
+    if (this._relaunchingAll) {
+      // outputs may have changed after this run read them: go again once it is done
+      this._restartAllQueued = reason;
+      return false;
+    }
+    console.log(ts(), `[supervisor] restarting all browsers (${reason})`);
+    // held until the new browsers are up: a second restartAll (or a single-screen
+    // restart) in between would kill them and race this run for the same slots
+    this._relaunchingAll = true;
+    try {
+      const slots = Object.values(this.slots);
+      for (const slot of slots) { clearTimeout(slot.timer); slot.timer = null; slot.nextLaunchAt = null; }
+      await Promise.all(slots.map(slot => this._terminate(slot.child)));
+      this.restartsAll++;
+      this.lastRestartAt = new Date().toISOString();
+      await this._launchAll();
+    } finally {
+      this._relaunchAllDone();
+    }
+    return true;
+  }
+
+  _relaunchAllDone() {
+    this._relaunchingAll = false;
+    const queued = this._restartAllQueued;
+    this._restartAllQueued = null;
+    if (queued && !this._stopping) {
+      setImmediate(() => this.restartAll(queued).catch(e => console.error(ts(), "[supervisor] queued restart failed:", e.message)));
+    }
+  }
 
+  // pid of one screen's running browser process, or null
+  pidFor(id) {
+    const slot = this.slots[String(id)];
+    return this._alive(slot) ? slot.child.pid : null;
+  }
+
+  // Counters for /metrics and /diagnostic.
+  stats() {
+    const running = {};
+    for (const [id, slot] of Object.entries(this.slots)) running[id] = this._alive(slot);
+    return { active: this._running, restarts: this.restarts, restartsAll: this.restartsAll, lastRestartAt: this.lastRestartAt, launches: { ...this.launches }, running };
+  }
+
+  /** Per-screen lifecycle for GET /supervisor. */
+  status() {
+    const geometry = win => {
+      if (!win) return null;
+      const [x, y] = win.pos.split(",").map(Number), [w, h] = win.size.split(",").map(Number);
+      return { x, y, w, h };
+    };
+    return {
+      active: this._running,
+      browser: this.cfg.browser,
+      startedAt: this.startedAt,
+      restartsAll: this.restartsAll,
+      screens: Object.values(this.slots).map(slot => ({
+        id: slot.id,
+        connector: slot.screen.connector,
+        debugPort: slot.screen.debugPort,
+        state: slot.state,
+        pid: this._alive(slot) ? slot.child.pid : null,
+        startedAt: this._alive(slot) ? new Date(slot.startedAt).toISOString() : null,
+        uptimeSec: this._alive(slot) ? Math.round((Date.now() - slot.startedAt) / 1000) : null,
+        launches: slot.launches,
+        restarts: slot.restarts,
+        crashLoop: slot.crashes,
+        nextLaunchAt: slot.nextLaunchAt,
+        lastExit: slot.lastExit,
+        geometry: geometry(slot.win),
+      })),
+    };
+  }
 
   async stop() {
     this._stopping = true;
     this._stopHotplugWatcher();
-    for (const k of this.children) { try { k.kill("SIGTERM"); } catch { } }
+    const slots = Object.values(this.slots);
+    for (const slot of slots) { clearTimeout(slot.timer); slot.timer = null; }
+    await Promise.all(slots.map(slot => this._terminate(slot.child)));
+    this._running = false;
   }
 }
 
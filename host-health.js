@@ -0,0 +1,171 @@
+// host-health.js — graded host checks (temperature, throttling, disk, memory, OOM kills, failed units) for diagnostics
+"use strict";
+
+const fs = require("fs");
+const { execSync } = require("child_process");
+const { config } = require("./config");
+const { thermalZones, diskStats } = require("./host-stats");
+
+const CFG = config.hostHealth;
+const GRADES = ["ok", "warn", "critical"];
+const CACHE_MS = 30 * 1000; // diagnostics are read often; systemctl / vcgencmd are not free
+
+const GiB = 1024 * 1024 * 1024;
+const gb = b => `${(b / GiB).toFixed(1)} GB`;
+
+function run(cmd) {
+  try { return execSync(cmd, { encoding: "utf8", timeout: 5000, stdio: ["ignore", "pipe", "ignore"] }); }
+  catch { return null; }
+}
+function readText(file) {
+  try { return fs.readFileSync(file, "utf8"); } catch { return null; }
+}
+function worst(...grades) {
+  return GRADES[Math.max(0, ...grades.map(g => GRADES.indexOf(g)))];
+}
+// higher is worse (temperature, used %, counts)
+function above(value, warn, crit) {
+  return value >= crit ? "critical" : value >= warn ? "warn" : "ok";
+}
+// lower is worse (free %)
+function below(value, warn, crit) {
+  return value <= crit ? "critical" : value <= warn ? "warn" : "ok";
+}
+
+/* -------- individual checks: return { name, grade, value, detail } or null when not exposed -------- */
+function checkTemperature() {
+  const zones = thermalZones();
+  const temps = Object.values(zones);
+  if (!temps.length) return null;
+  const max = Math.max(...temps);
+  return {
+    name: "cpu-temperature",
+    grade: above(max, CFG.tempWarnC, CFG.tempCritC),
+    value: max,
+    detail: Object.entries(zones).map(([z, c]) => `${z} ${c.toFixed(1)}°C`).join(", "),
+  };
+}
+
+// Raspberry Pi firmware flags (vcgencmd get_throttled); bits 0-3 now, 16-19 since boot
+const THROTTLE_BITS = [
+  [0, "under-voltage"], [1, "frequency capped"], [2, "throttled"], [3, "soft temperature limit"],
+];
+function checkThrottling() {
+  const cur = Number(readText("/sys/devices/system/cpu/cpu0/cpufreq/scaling_cur_freq"));
+  const max = Number(readText("/sys/devices/system/cpu/cpu0/cpufreq/cpuinfo_max_freq"));
+  const freq = cur && max ? `${Math.round(cur / 1000)}/${Math.round(max / 1000)} MHz` : null;
+
+  const out = run("vcgencmd get_throttled");
+  const m = out && out.match(/throttled=(0x[0-9a-f]+)/i);
+  if (m) {
+    const flags = parseInt(m[1], 16);
+    const now = THROTTLE_BITS.filter(([b]) => flags & (1 << b)).map(([, n]) => n);
+    const past = THROTTLE_BITS.filter(([b]) => flags & (1 << (b + 16))).map(([, n]) => n);
+    const parts = [];
+    if (now.length) parts.push(`now: ${now.join(", ")}`);
+    if (past.length) parts.push(`since boot: ${past.join(", ")}`);
+    if (freq) parts.push(freq);
+    return {
+      name: "throttling",
+      grade: now.length ? "critical" : past.length ? "warn" : "ok",
+      value: m[1],
+      detail: parts.join("; ") || "none",
+    };
+  }
+
+  // x86: per-core thermal throttle event counters
+  const counts = (run("cat /sys/devices/system/cpu/cpu*/thermal_throttle/core_throttle_count") || "")
+    .split("\n").filter(Boolean).map(Number);
+  if (counts.length) {
+    const total = counts.reduce((a, b) => a + b, 0);
+    return { name: "throttling", grade: total ? "warn" : "ok", value: total, detail: [`${total} throttle events since boot`, freq].filter(Boolean).join("; ") };
+  }
+  return freq ? { name: "throttling", grade: "ok", value: null, detail: freq } : null;
+}
+
+function checkDisks() {
+  const disks = diskStats(CFG.diskPaths);
+  return Object.entries(disks).map(([p, d]) => {
+    const pct = d.totalBytes ? (d.freeBytes / d.totalBytes) * 100 : 0;
+    return {
+      name: `disk ${p}`,
+      grade: below(pct, CFG.diskWarnPct, CFG.diskCritPct),
+      value: Math.round(pct * 10) / 10,
+      detail: `${gb(d.freeBytes)} free of ${gb(d.totalBytes)}`,
+    };
+  });
+}
+
+function checkMemory() {
+  const text = readText("/proc/meminfo");
+  if (!text) return null;
+  const kb = key => { const m = text.match(new RegExp(`^${key}:\\s+(\\d+)`, "m")); return m ? Number(m[1]) * 1024 : null; };
+  const total = kb("MemTotal"), avail = kb("MemAvailable");
+  const swapTotal = kb("SwapTotal"), swapFree = kb("SwapFree");
+  if (!total || avail === null) return null;
+
+  const availPct = (avail / total) * 100;
+  const swapPct = swapTotal ? ((swapTotal - swapFree) / swapTotal) * 100 : 0;
+  const parts = [`${gb(avail)} available of ${gb(total)}`];
+  if (swapTotal) parts.push(`swap ${Math.round(swapPct)}% used`);
+  // pressure stall info: share of the last 60s some task waited for memory
+  const psi = (readText("/proc/pressure/memory") || "").match(/^some avg10=[\d.]+ avg60=([\d.]+)/m);
+  if (psi) parts.push(`pressure ${psi[1]}%`);
+  return {
+    name: "memory",
+    grade: worst(below(availPct, CFG.memWarnPct, CFG.memCritPct), swapTotal ? above(swapPct, CFG.swapWarnPct, CFG.swapCritPct) : "ok"),
+    value: Math.round(availPct * 10) / 10,
+    detail: parts.join("; "),
+  };
+}
+
+// kernel OOM kills since boot: /proc/vmstat (4.13+), else count them in the kernel log
+function checkOomKills() {
+  let count = null;
+  const m = (readText("/proc/vmstat") || "").match(/^oom_kill (\d+)/m);
+  if (m) count = Number(m[1]);
+  else {
+    const log = run("dmesg");
+    if (log !== null) count = (log.match(/Out of memory: Kill(ed)? process/g) || []).length;
+  }
+  if (count === null) return null;
+  return { name: "oom-kills", grade: above(count, CFG.oomWarn, CFG.oomCrit), value: count, detail: `${count} since boot` };
+}
+
+function checkFailedUnits() {
+  const out = run("systemctl --failed --no-legend --plain --no-pager");
+  if (out === null) return null;
+  const units = out.split("\n").map(l => l.trim().split(/\s+/)[0]).filter(Boolean);
+  return {
+    name: "failed-units",
+    grade: above(units.length, CFG.failedUnitsWarn, CFG.failedUnitsCrit),
+    value: units.length,
+    detail: units.length ? units.join(", ") : "none",
+  };
+}
+
+/* -------- all checks -------- */
+let cached = null; // { at, result }
+
+/**
+ * { grade, checkedAt, checks: [{ name, grade, value, detail }] }; grade is the worst check.
+ * Checks the host does not expose (no thermal zones, no systemd ...) are left out.
+ */
+function checkHostHealth({ fresh = false } = {}) {
+  if (!fresh && cached && Date.now() - cached.at < CACHE_MS) return cached.result;
+  const checks = [];
+  for (const check of [checkTemperature, checkThrottling, checkDisks, checkMemory, checkOomKills, checkFailedUnits]) {
+    try {
+      const r = check();
+      if (Array.isArray(r)) checks.push(...r);
+      else if (r) checks.push(r);
+    } catch (e) {
+      console.warn(`[health] ${check.name} failed: ${e.message}`);
+    }
+  }
+  const result = { grade: worst(...checks.map(c => c.grade)), checkedAt: new Date().toISOString(), checks };
+  cached = { at: Date.now(), result };
+  return result;
+}
+
+module.exports = { checkHostHealth, GRADES };
@@ -0,0 +1,95 @@
+// host-stats.js — cheap host readings (uptime, load, memory, disk, CPU temperature, process RSS) from os, /proc and /sys
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { config } = require("./config");
+
+const THERMAL_DIR = "/sys/class/thermal";
+
+// MemAvailable accounts for reclaimable cache, unlike os.freemem()
+function memAvailableBytes() {
+  try {
+    const m = fs.readFileSync("/proc/meminfo", "utf8").match(/^MemAvailable:\s+(\d+)\s+kB/m);
+    if (m) return Number(m[1]) * 1024;
+  } catch { }
+  return os.freemem();
+}
+
+/** { path: { freeBytes, totalBytes } } for "/" and the state directory (skipped when unreadable). */
+function diskStats(paths = ["/", config.stateDir]) {
+  const out = {};
+  for (const p of new Set(paths)) {
+    try {
+      const s = fs.statfsSync(p);
+      out[p] = { freeBytes: s.bavail * s.bsize, totalBytes: s.blocks * s.bsize };
+    } catch { }
+  }
+  return out;
+}
+
+/** { zone: celsius } for every thermal zone that reports a temperature. */
+function thermalZones() {
+  const out = {};
+  let names;
+  try { names = fs.readdirSync(THERMAL_DIR).filter(n => n.startsWith("thermal_zone")); } catch { return out; }
+  for (const n of names) {
+    try {
+      const milli = Number(fs.readFileSync(path.join(THERMAL_DIR, n, "temp"), "utf8").trim());
+      if (!Number.isFinite(milli)) continue;
+      let type = n;
+      try { type = fs.readFileSync(path.join(THERMAL_DIR, n, "type"), "utf8").trim() || n; } catch { }
+      out[type] = milli / 1000;
+    } catch { }
+  }
+  return out;
+}
+
+/**
+ * Resident memory of a process and all its descendants (Chromium's renderers
+ * and GPU process are children of the browser process), or null if gone.
+ */
+function processTreeRssBytes(rootPid) {
+  const children = new Map(); // ppid -> [pid]
+  let pids;
+  try { pids = fs.readdirSync("/proc").filter(n => /^\d+$/.test(n)); } catch { return null; }
+  for (const pid of pids) {
+    try {
+      // the command name may contain spaces and parentheses: ppid follows the last ")"
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf8");
+      const ppid = stat.slice(stat.lastIndexOf(")") + 2).split(" ")[1];
+      if (!children.has(ppid)) children.set(ppid, []);
+      children.get(ppid).push(pid);
+    } catch { }
+  }
+  let total = 0, found = false;
+  const queue = [String(rootPid)];
+  while (queue.length) {
+    const pid = queue.shift();
+    try {
+      const m = fs.readFileSync(`/proc/${pid}/status`, "utf8").match(/^VmRSS:\s+(\d+)\s+kB/m);
+      if (m) total += Number(m[1]) * 1024;
+      found = true;
+    } catch { continue; }
+    queue.push(...(children.get(pid) || []));
+  }
+  return found ? total : null;
+}
+
+function readHostStats() {
+  const [load1, load5, load15] = os.loadavg();
+  const temps = thermalZones();
+  const values = Object.values(temps);
+  return {
+    uptimeSec: os.uptime(),
+    load: { load1, load5, load15 },
+    cpus: os.cpus().length,
+    memory: { totalBytes: os.totalmem(), availableBytes: memAvailableBytes() },
+    disk: diskStats(),
+    temperatures: temps,
+    cpuTempC: values.length ? Math.max(...values) : null,
+  };
+}
+
+module.exports = { readHostStats, diskStats, thermalZones, processTreeRssBytes };
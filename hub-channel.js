@@ -0,0 +1,227 @@
+// hub-channel.js — outbound, auto-reconnecting WebSocket to the hub; hub commands run through our own HTTP routes
+"use strict";
+
+const http = require("http");
+const WebSocket = require("ws");
+const { config } = require("./config");
+const { internalAuthHeaders, hubSignatureHeaders, checkCommandSignature } = require("./auth");
+
+const CFG = config.hubChannel;
+const MAX_BODY_BYTES = 16 * 1024 * 1024; // a full-resolution PNG screenshot fits
+
+/* -------- protocol (JSON text frames) --------
+ *   device -> hub  { type: "hello", mac, ip, hostname, version, commands: [...] }
+ *   hub -> device  { type: "command", id, command, args, ts, sig }
+ *   device -> hub  { type: "result", id, command, ok, status, contentType, body | bodyBase64, error }
+ * The upgrade request is signed with the hub secret (same X-Betsa-* headers as hub -> device calls),
+ * and so is every command frame (auth.signCommand); unsigned, stale or replayed frames are refused.
+ * Commands run with the loopback token, which does not open admin-only routes.
+ */
+
+// Each command is the HTTP request the hub would otherwise send to this box,
+// so both paths go through the same handlers (validation, persistence, announce).
+const COMMANDS = {
+  "set-urls":        a => ({ method: "POST", path: "/saved-urls", body: a.urls || {} }),
+  "mouse":           a => ({ method: "POST", path: "/mouse", body: { hidden: a.hidden } }),
+  "reboot":          a => ({ method: "POST", path: `/reboot${rebootQuery(a)}`, body: {} }),
+  "reboot-status":   a => ({ method: "GET", path: `/reboot/${jobArg(a)}` }),
+  "reboot-cancel":   a => ({ method: "DELETE", path: `/reboot/${jobArg(a)}` }),
+  "screenshot":      a => ({ method: "GET", path: `/screenshot/${a.screen === "all" ? "all" : screenArg(a)}${screenshotQuery(a)}` }),
+  "clear-cookies":   a => ({ method: "POST", path: `/clear-cookies/${screenArg(a)}` }),
+  "restart-browser": a => ({ method: "POST", path: `/screens/${screenArg(a)}/restart-browser` }),
+  "restart-browsers": () => ({ method: "POST", path: "/supervisor/restart" }),
+  "autopatch-check": a => ({ method: "GET", path: `/autopatch/check${a.vt ? `?vt=${Number(a.vt)}` : ""}` }),
+  "autopatch-status": () => ({ method: "GET", path: "/autopatch/status" }),
+  "autopatch-plan":  () => ({ method: "GET", path: "/autopatch/plan" }),
+  "autopatch-history": a => ({ method: "GET", path: `/autopatch/history${a.limit ? `?limit=${Number(a.limit)}` : ""}` }),
+  "diagnostic":      () => ({ method: "GET", path: "/diagnostic" }),
+};
+
+function screenArg(args) {
+  if (typeof args.screen === "undefined" || args.screen === null || args.screen === "") throw new Error("args.screen required");
+  return encodeURIComponent(String(args.screen));
+}
+
+function jobArg(args) {
+  if (!args.job) throw new Error("args.job required");
+  return encodeURIComponent(String(args.job));
+}
+
+// dryRun / maxWaitMs / force, same names as the /reboot query string
+function rebootQuery(args) {
+  const q = new URLSearchParams();
+  if (args.dryRun) q.set("dryRun", "1"); // no force: that takes the admin token or a signed HTTP call
+  if (typeof args.maxWaitMs !== "undefined" && args.maxWaitMs !== null) q.set("maxWaitMs", String(args.maxWaitMs));
+  const s = q.toString();
+  return s ? `?${s}` : "";
+}
+
+// format / width / quality / crop, same names as the /screenshot query string
+function screenshotQuery(args) {
+  const q = new URLSearchParams();
+  for (const k of ["format", "width", "quality", "crop"]) {
+    if (typeof args[k] !== "undefined" && args[k] !== null) q.set(k, String(args[k]));
+  }
+  const s = q.toString();
+  return s ? `?${s}` : "";
+}
+
+/* -------- loopback call into the express app -------- */
+function callLocal({ method, path, body }, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const payload = typeof body === "undefined" ? null : Buffer.from(JSON.stringify(body));
+    const headers = { ...internalAuthHeaders() };
+    if (payload) { headers["Content-Type"] = "application/json"; headers["Content-Length"] = payload.length; }
+
+    const req = http.request({ host: "127.0.0.1", port: config.port, method, path, headers, timeout: timeoutMs }, res => {
+      const chunks = [];
+      let size = 0;
+      res.on("data", c => { size += c.length; if (size <= MAX_BODY_BYTES) chunks.push(c); });
+      res.on("end", () => {
+        if (size > MAX_BODY_BYTES) return reject(new Error(`response larger than ${MAX_BODY_BYTES} bytes`));
+        resolve({ status: res.statusCode, contentType: res.headers["content-type"] || "", body: Buffer.concat(chunks) });
+      });
+    });
+    req.on("timeout", () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+function encodeBody(contentType, buf) {
+  if (/^application\/json/.test(contentType)) {
+    try { return { body: JSON.parse(buf.toString("utf8")) }; } catch { /* fall through */ }
+  }
+  if (/^text\//.test(contentType) || !buf.length) return { body: buf.toString("utf8") };
+  return { bodyBase64: buf.toString("base64") };
+}
+
+/* -------- channel -------- */
+/**
+ * @param {object} opts
+ *   identity()   { mac, ip, hostname, version } sent in the hello frame
+ */
+function initHubChannel(opts) {
+  const { identity, log = console } = opts;
+  const url = new URL(CFG.url);
+  const insecure = url.protocol === "ws:" && !CFG.allowInsecure;
+
+  let ws = null;
+  let connectedSince = null;
+  let lastError = null;
+  let reconnects = 0;
+  let backoff = CFG.reconnectMinMs;
+  let pingTimer = null;
+  let reconnectTimer = null;
+  const inFlight = new Map(); // command id -> { command, startedAt }
+
+  function send(msg) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify(msg));
+    return true;
+  }
+
+  function scheduleReconnect() {
+    if (reconnectTimer) return;
+    const jitter = Math.floor(Math.random() * 1000);
+    const delay = backoff + jitter;
+    backoff = Math.min(backoff * 2, CFG.reconnectMaxMs);
+    reconnectTimer = setTimeout(() => { reconnectTimer = null; reconnects++; connect(); }, delay);
+  }
+
+  function connect() {
+    const headers = hubSignatureHeaders("GET", url.pathname + url.search);
+    const sock = new WebSocket(url.href, { headers, handshakeTimeout: 10000 });
+    ws = sock;
+
+    sock.on("open", () => {
+      connectedSince = new Date().toISOString();
+      lastError = null;
+      backoff = CFG.reconnectMinMs;
+      log.log(`[hub-ws] connected to ${url.href}`);
+      send({ type: "hello", ...identity(), commands: Object.keys(COMMANDS) });
+
+      let alive = true;
+      sock.on("pong", () => { alive = true; });
+      pingTimer = setInterval(() => {
+        if (!alive) { log.warn("[hub-ws] ping unanswered; reconnecting"); sock.terminate(); return; }
+        alive = false;
+        try { sock.ping(); } catch { }
+      }, CFG.pingIntervalMs);
+    });
+
+    sock.on("message", raw => {
+      let msg;
+      try { msg = JSON.parse(raw); } catch { return log.warn("[hub-ws] ignoring non-JSON frame"); }
+      if (!msg || msg.type !== "command") return;
+      const why = checkCommandSignature(msg);
+      if (why) {
+        log.warn(`[hub-ws] refused command ${msg.command} #${msg.id}: ${why}`);
+        send({ type: "result", id: msg.id, command: msg.command, ok: false, status: 401, error: `unauthorized: ${why}` });
+        return;
+      }
+      handleCommand(msg);
+    });
+
+    sock.on("error", err => { lastError = err.message; });
+
+    sock.on("close", code => {
+      if (pingTimer) { clearInterval(pingTimer); pingTimer = null; }
+      if (ws === sock) ws = null;
+      if (connectedSince) log.warn(`[hub-ws] disconnected (${code}${lastError ? `, ${lastError}` : ""})`);
+      else log.warn(`[hub-ws] connect failed: ${lastError || code}; retrying`);
+      connectedSince = null;
+      scheduleReconnect();
+    });
+  }
+
+  async function handleCommand({ id, command, args }) {
+    if (typeof id === "undefined" || id === null) return log.warn(`[hub-ws] command ${command} without id ignored`);
+    if (inFlight.has(id)) return; // hub re-sent while we are still working on it
+    const reply = extra => {
+      if (!send({ type: "result", id, command, ...extra })) log.warn(`[hub-ws] result for ${command} #${id} dropped (not connected)`);
+    };
+
+    const build = COMMANDS[command];
+    if (!build) return reply({ ok: false, status: 400, error: `unknown command ${command}` });
+
+    let request;
+    try { request = build(args && typeof args === "object" ? args : {}); }
+    catch (e) { return reply({ ok: false, status: 400, error: e.message }); }
+
+    inFlight.set(id, { command, startedAt: new Date().toISOString() });
+    log.log(`[hub-ws] command ${command} #${id} -> ${request.method} ${request.path}`);
+    try {
+      const r = await callLocal(request, CFG.commandTimeoutMs);
+      reply({ ok: r.status < 400, status: r.status, contentType: r.contentType, ...encodeBody(r.contentType, r.body) });
+    } catch (e) {
+      log.error(`[hub-ws] command ${command} #${id} failed: ${e.message}`);
+      reply({ ok: false, status: 0, error: e.message });
+    } finally {
+      inFlight.delete(id);
+    }
+  }
+
+  function start() {
+    if (!CFG.enabled) { log.log("[hub-ws] disabled by config"); return; }
+    if (insecure) { log.error(`[hub-ws] refusing unencrypted ${url.href}; use wss:// or set hubChannel.allowInsecure`); return; }
+    connect();
+  }
+
+  function status() {
+    return {
+      url: url.href,
+      refused: insecure ? "unencrypted ws:// not allowed" : null,
+      connected: !!connectedSince,
+      connectedSince,
+      lastError,
+      reconnects,
+      inFlight: [...inFlight].map(([id, c]) => ({ id, ...c })),
+    };
+  }
+
+  return { start, status, send };
+}
+
+module.exports = { initHubChannel, COMMANDS };
@@ -0,0 +1,106 @@
+// inspect.js — support tooling over CDP: evaluate an expression in a screen's page, read elements by selector
+"use strict";
+
+const { config } = require("./config");
+const { getScreen } = require("./screens");
+const { getSession } = require("./cdp");
+
+const CFG = config.inspect;
+const DOM_MODES = ["html", "text"];
+
+function httpError(status, msg) { return Object.assign(new Error(msg), { status }); }
+
+/** Validate the evaluate body { expression, timeoutMs?, awaitPromise? }. Returns { opts } or { error }. */
+function parseEvaluateOptions(body = {}) {
+  const { expression } = body;
+  if (typeof expression !== "string" || !expression.trim()) return { error: "expression must be a non-empty string" };
+  const timeoutMs = typeof body.timeoutMs === "undefined" ? CFG.timeoutMs : Number(body.timeoutMs);
+  if (!Number.isInteger(timeoutMs) || timeoutMs < 100 || timeoutMs > CFG.maxTimeoutMs) return { error: `timeoutMs must be an integer 100..${CFG.maxTimeoutMs}` };
+  const awaitPromise = body.awaitPromise !== false;
+  return { opts: { expression, timeoutMs, awaitPromise } };
+}
+
+/** Validate ?selector=&mode=html|text&all=1. Returns { opts } or { error }. */
+function parseDomOptions(q = {}) {
+  const selector = typeof q.selector === "string" ? q.selector.trim() : "";
+  if (!selector) return { error: "selector is required" };
+  const mode = String(q.mode || "html").toLowerCase();
+  if (!DOM_MODES.includes(mode)) return { error: `mode must be one of ${DOM_MODES.join(", ")}` };
+  const all = q.all === "1" || q.all === "true";
+  return { opts: { selector, mode, all } };
+}
+
+// Runtime.evaluate with a hard deadline; connection problems become 503, deadlines 504
+async function runEvaluate(screenId, expression, { timeoutMs, awaitPromise }) {
+  const scr = getScreen(screenId);
+  if (!scr) throw httpError(404, `unknown screen ${screenId}`);
+  const session = getSession(scr.id);
+  try {
+    await session.ready();
+  } catch (e) {
+    throw httpError(503, `screen ${scr.id} DevTools not reachable: ${e.message}`);
+  }
+  try {
+    return await session.send("Runtime.evaluate", {
+      expression,
+      returnByValue: true,
+      awaitPromise,
+      userGesture: false,
+      timeout: timeoutMs,            // Chromium stops the script itself ...
+    }, { timeoutMs: timeoutMs + 1000 }); // ... and this covers a page that never answers
+  } catch (e) {
+    throw httpError(e.timeout ? 504 : 502, e.message);
+  }
+}
+
+function exceptionText(d) {
+  return (d.exception && (d.exception.description || d.exception.value)) || d.text || "exception";
+}
+
+/**
+ * Evaluate an expression in the page of one screen.
+ * Resolves { ok: true, type, value } or { ok: false, exception } (a thrown error is
+ * still a successful call). Rejects with err.status 404, 413, 502, 503 or 504.
+ */
+async function evaluateOnScreen(screenId, { expression, timeoutMs, awaitPromise }) {
+  const r = await runEvaluate(screenId, expression, { timeoutMs, awaitPromise });
+  if (r.exceptionDetails) return { ok: false, exception: exceptionText(r.exceptionDetails) };
+
+  const obj = r.result || {};
+  const out = { ok: true, type: obj.subtype ? `${obj.type}:${obj.subtype}` : obj.type };
+  if (typeof obj.unserializableValue !== "undefined") out.value = obj.unserializableValue; // NaN, Infinity, 1n ...
+  else if (typeof obj.value !== "undefined") out.value = obj.value;
+  else if (obj.description) out.description = obj.description;
+
+  const size = Buffer.byteLength(JSON.stringify(out));
+  if (size > CFG.maxResultBytes) throw httpError(413, `result is ${size} bytes (limit ${CFG.maxResultBytes})`);
+  return out;
+}
+
+/**
+ * outerHTML (mode "html") or innerText (mode "text") of the first element matching
+ * `selector`, or of up to maxMatches elements with `all`.
+ * Resolves { selector, count, matches: [...] }; count is the total number of matches.
+ */
+async function queryDom(screenId, { selector, mode, all }) {
+  const limit = all ? CFG.maxMatches : 1;
+  const expression = `(() => {
+    const els = document.querySelectorAll(${JSON.stringify(selector)});
+    return {
+      url: location.href,
+      count: els.length,
+      matches: Array.from(els).slice(0, ${limit}).map(e => ${mode === "text" ? "e.innerText" : "e.outerHTML"}),
+    };
+  })()`;
+  const r = await runEvaluate(screenId, expression, { timeoutMs: CFG.timeoutMs, awaitPromise: false });
+  if (r.exceptionDetails) {
+    // querySelectorAll throws a SyntaxError DOMException for a bad selector
+    throw httpError(400, `invalid selector: ${exceptionText(r.exceptionDetails).split("\n")[0]}`);
+  }
+  const value = (r.result && r.result.value) || { count: 0, matches: [] };
+  const size = Buffer.byteLength(JSON.stringify(value));
+  if (size > CFG.maxResultBytes) throw httpError(413, `result is ${size} bytes (limit ${CFG.maxResultBytes}); narrow the selector`);
+  return { selector, mode, ...value };
+}
+
+module.exports = { evaluateOnScreen, queryDom, parseEvaluateOptions, parseDomOptions };
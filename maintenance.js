@@ -0,0 +1,193 @@
+// maintenance.js — policy reboots (weekly and/or max uptime) inside a maintenance window, staggered per device
+"use strict";
+
+const os = require("os");
+const { config } = require("./config");
+const { zonedParts, zonedToDate, parseHHMM, parseDays } = require("./zoned-time");
+
+const CFG = config.maintenance;
+const TZ = config.timezone;
+const TICK_MS = 60 * 1000;
+const MIN_UPTIME_MS = 60 * 60 * 1000; // never reboot a device that just came up (no reboot loops)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REBOOT_GRACE_MS = 10 * 60 * 1000; // still running this long after reboot(): it did not happen
+const RETRY_AFTER_MS = 10 * 60 * 1000;  // after a failed reboot, before trying again
+
+const fmt = d => d.toLocaleString("en-ZA", { timeZone: TZ });
+
+/**
+ * @param {object} opts
+ *   ip()             primary IPv4, for the stagger minute
+ *   staggerMinute(ip) auto-patch.computeStaggerMinuteFromIP (0..59)
+ *   isPatching()     auto-patch.isBusy
+ *   busyState()      reboot-guard.detectBusyDetailed -> { reasons: [...] }
+ *   reboot(onFailed) reboot-guard.scheduleRebootNow; onFailed(err) if the reboot command fails
+ *   onReboot(info)   { reason, at } just before rebooting
+ */
+function initMaintenance(opts) {
+  const { ip, staggerMinute, isPatching, busyState, reboot, onReboot = () => {}, log = console } = opts;
+
+  const rebootDays = parseDays(CFG.rebootDays) || [];
+  const windowDays = CFG.windowDays ? parseDays(CFG.windowDays) : [0, 1, 2, 3, 4, 5, 6];
+  const rebootAt = parseHHMM(CFG.rebootAt);
+  const winStart = parseHHMM(CFG.windowStart);
+  const winEnd = parseHHMM(CFG.windowEnd);
+  const winLen = (winEnd - winStart + 1440) % 1440 || 1440; // minutes; may cross midnight
+
+  let offset = 0;     // this device's stagger, minutes
+  let timer = null;
+  let lastCheck = null; // { at, due, action, detail }
+  let rebooting = false;
+  let graceTimer = null;
+  let lastFailure = null; // { at, reason, detail } of the last reboot that did not happen
+
+  const bootTime = () => Date.now() - os.uptime() * 1000;
+
+  // stagger 0..59 from the IP, scaled to staggerMinutes and kept inside the window
+  function computeOffset() {
+    const minute = staggerMinute(ip());
+    const scaled = Math.floor((minute * CFG.staggerMinutes) / 60);
+    return Math.min(scaled, Math.max(0, winLen - 1));
+  }
+
+  /* ---- calendar ---- */
+  // the window that contains `date`, as { start, end } instants, or null
+  function windowAround(date) {
+    for (const back of [0, 1]) { // a window that crosses midnight may have opened yesterday
+      const p = zonedParts(new Date(date.getTime() - back * DAY_MS), TZ);
+      if (!windowDays.includes(p.weekday)) continue;
+      const start = zonedToDate(p.year, p.month, p.day, 0, winStart + offset, TZ);
+      const end = new Date(zonedToDate(p.year, p.month, p.day, 0, winStart, TZ).getTime() + winLen * 60000);
+      if (date >= start && date < end) return { start, end };
+    }
+    return null;
+  }
+
+  // first instant at or after `from` that is inside the (staggered) window
+  function nextWindowOpening(from) {
+    if (windowAround(from)) return from;
+    const p = zonedParts(from, TZ);
+    for (let i = 0; i <= 8; i++) {
+      const start = zonedToDate(p.year, p.month, p.day + i, 0, winStart + offset, TZ);
+      const wd = zonedParts(zonedToDate(p.year, p.month, p.day + i, 12, 0, TZ), TZ).weekday;
+      if (windowDays.includes(wd) && start >= from) return start;
+    }
+    return null;
+  }
+
+  // weekly slots (reboot day + rebootAt + stagger) around `date`
+  function weeklySlot(date, direction) {
+    if (!rebootDays.length || Number.isNaN(rebootAt)) return null;
+    const p = zonedParts(date, TZ);
+    for (let i = 0; i <= 8; i++) {
+      const day = p.day + direction * i;
+      const slot = zonedToDate(p.year, p.month, day, 0, rebootAt + offset, TZ);
+      const wd = zonedParts(zonedToDate(p.year, p.month, day, 12, 0, TZ), TZ).weekday;
+      if (!rebootDays.includes(wd)) continue;
+      if (direction > 0 ? slot > date : slot <= date) return slot;
+    }
+    return null;
+  }
+
+  /** Why a reboot is due right now (ignoring the window), or null. */
+  function dueReason(now) {
+    if (now.getTime() - bootTime() < MIN_UPTIME_MS) return null;
+    const last = weeklySlot(now, -1);
+    if (last && last.getTime() > bootTime()) return `weekly reboot (${fmt(last)})`;
+    if (CFG.maxUptimeDays && os.uptime() * 1000 >= CFG.maxUptimeDays * DAY_MS) {
+      return `uptime ${Math.floor(os.uptime() / 86400)} days >= ${CFG.maxUptimeDays}`;
+    }
+    return null;
+  }
+
+  /** { at, reason } of the next planned reboot, or null when the policy never reboots. */
+  function nextReboot(now = new Date()) {
+    const due = dueReason(now);
+    if (due) return { at: nextWindowOpening(now), reason: due };
+    const earliest = new Date(Math.max(now.getTime(), bootTime() + MIN_UPTIME_MS));
+    const candidates = [];
+    const slot = weeklySlot(earliest, 1);
+    if (slot) candidates.push({ at: nextWindowOpening(slot), reason: "weekly reboot" });
+    if (CFG.maxUptimeDays) {
+      const hits = new Date(Math.max(earliest.getTime(), bootTime() + CFG.maxUptimeDays * DAY_MS));
+      candidates.push({ at: nextWindowOpening(hits), reason: `uptime >= ${CFG.maxUptimeDays} days` });
+    }
+    const valid = candidates.filter(c => c.at);
+    valid.sort((a, b) => a.at - b.at);
+    return valid[0] || null;
+  }
+
+  /* ---- the check ---- */
+  function check() {
+    const now = new Date();
+    const due = dueReason(now);
+    if (rebooting) return; // keep showing the attempt until it fails (or the box goes down)
+    lastCheck = { at: now.toISOString(), due, action: "none", detail: null };
+    if (!due) return;
+    if (!windowAround(now)) { lastCheck.action = "waiting"; lastCheck.detail = "outside maintenance window"; return; }
+    if (lastFailure && now.getTime() - Date.parse(lastFailure.at) < RETRY_AFTER_MS) {
+      lastCheck.action = "waiting"; lastCheck.detail = `last reboot failed (${lastFailure.detail}); retrying in ${RETRY_AFTER_MS / 60000} min`;
+      return;
+    }
+
+    if (isPatching()) {
+      lastCheck.action = "skipped"; lastCheck.detail = "autopatch run active";
+      log.log(`[maintenance] ${due}: skipped, autopatch run active`);
+      return;
+    }
+    const busy = busyState();
+    if (busy.reasons.length) {
+      lastCheck.action = "skipped"; lastCheck.detail = busy.reasons.join(" | ");
+      log.log(`[maintenance] ${due}: skipped, busy (${lastCheck.detail})`);
+      return;
+    }
+
+    rebooting = true;
+    lastCheck.action = "rebooting";
+    log.warn(`[maintenance] rebooting: ${due}`);
+    try { onReboot({ reason: due, at: now.toISOString() }); } catch (e) { log.warn(`[maintenance] onReboot failed: ${e.message}`); }
+    const attempt = lastCheck;
+    graceTimer = setTimeout(() => rebootFailed(attempt, `still up ${REBOOT_GRACE_MS / 60000} min after the reboot was requested`), REBOOT_GRACE_MS);
+    reboot(err => rebootFailed(attempt, err.message));
+  }
+
+  // the next check (inside the window) tries again
+  function rebootFailed(attempt, detail) {
+    if (!rebooting) return;
+    clearTimeout(graceTimer);
+    graceTimer = null;
+    rebooting = false;
+    attempt.action = "failed";
+    attempt.detail = detail;
+    lastFailure = { at: new Date().toISOString(), reason: attempt.due, detail };
+    log.error(`[maintenance] reboot failed: ${detail}`);
+  }
+
+  function start() {
+    if (!CFG.enabled) { log.log("[maintenance] scheduled reboots disabled by config"); return; }
+    if (timer) return;
+    offset = computeOffset();
+    const next = nextReboot();
+    log.log(`[maintenance] window ${CFG.windowStart}-${CFG.windowEnd} +${offset} min; next reboot ${next ? `${fmt(next.at)} (${next.reason})` : "none planned"}`);
+    timer = setInterval(check, TICK_MS);
+  }
+
+  function status() {
+    if (!CFG.enabled) return { enabled: false };
+    const next = nextReboot();
+    return {
+      enabled: true,
+      policy: { rebootDays: CFG.rebootDays, rebootAt: CFG.rebootAt, maxUptimeDays: CFG.maxUptimeDays },
+      window: { start: CFG.windowStart, end: CFG.windowEnd, days: CFG.windowDays, staggerMinutes: offset },
+      nextReboot: next ? next.at.toISOString() : null,
+      nextRebootLocal: next ? fmt(next.at) : null,
+      nextReason: next ? next.reason : null,
+      lastCheck,
+      lastFailure,
+    };
+  }
+
+  return { start, status, nextReboot, check };
+}
+
+module.exports = { initMaintenance };
@@ -0,0 +1,112 @@
+// metrics.js — GET /metrics in the Prometheus text exposition format (0.0.4)
+"use strict";
+
+const { readHostStats } = require("./host-stats");
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatValue(v) {
+  if (v === true) return "1";
+  if (v === false) return "0";
+  if (Number.isNaN(v)) return "NaN";
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return String(v);
+}
+
+/** Accumulates metric families and renders them; samples without a finite value are skipped. */
+class MetricsWriter {
+  constructor() { this.lines = []; }
+
+  family(name, type, help, samples) {
+    const rows = samples.filter(s => typeof s.value === "boolean" || Number.isFinite(s.value));
+    if (!rows.length) return this;
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { labels = {}, value } of rows) {
+      const l = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",");
+      this.lines.push(`${name}${l ? `{${l}}` : ""} ${formatValue(value)}`);
+    }
+    return this;
+  }
+
+  gauge(name, help, samples) { return this.family(name, "gauge", help, samples); }
+  counter(name, help, samples) { return this.family(name, "counter", help, samples); }
+
+  toString() { return this.lines.join("\n") + "\n"; }
+}
+
+/**
+ * @param {object} sources   getters, each called on every scrape
+ *   version()      app version (upgrade.getVersion)
+ *   patch()        getLatestPatch()
+ *   displays()     [{ id, connector, status }]
+ *   cdp()          cdp.sessionStatus()
+ *   supervisor()   HdmiBrowserSupervisor#stats()
+ *   hubPosts()     { [path]: { ok, failed } }
+ *   outbox()       Outbox#status()
+ */
+function initMetrics(sources, log = console) {
+  // one broken source must not fail the whole scrape
+  function read(name, fallback) {
+    try { return sources[name]() ?? fallback; }
+    catch (e) { log.warn(`[metrics] ${name} unavailable: ${e.message}`); return fallback; }
+  }
+
+  function render() {
+    const w = new MetricsWriter();
+    const patch = read("patch", {});
+    w.gauge("betsa_info", "Kiosk build information.", [{ labels: { version: read("version", 0) }, value: 1 }]);
+    w.gauge("betsa_app_version", "Installed app version (upgrade/migration number).", [{ value: Number(read("version", NaN)) }]);
+    w.gauge("betsa_patch_number", "Newest applied patch from the patch history.", [{ value: Number(patch.patch) }]);
+    w.gauge("betsa_process_uptime_seconds", "Seconds since the kiosk server started.", [{ value: process.uptime() }]);
+
+    const host = readHostStats();
+    w.gauge("betsa_host_uptime_seconds", "Seconds since the host booted.", [{ value: host.uptimeSec }]);
+    w.gauge("betsa_host_load", "Load average.", [
+      { labels: { period: "1m" }, value: host.load.load1 },
+      { labels: { period: "5m" }, value: host.load.load5 },
+      { labels: { period: "15m" }, value: host.load.load15 },
+    ]);
+    w.gauge("betsa_host_memory_total_bytes", "Total memory.", [{ value: host.memory.totalBytes }]);
+    w.gauge("betsa_host_memory_available_bytes", "Memory available without swapping (MemAvailable).", [{ value: host.memory.availableBytes }]);
+    const disks = Object.entries(host.disk);
+    w.gauge("betsa_host_disk_free_bytes", "Free disk space available to unprivileged users.", disks.map(([p, d]) => ({ labels: { path: p }, value: d.freeBytes })));
+    w.gauge("betsa_host_disk_total_bytes", "Disk size.", disks.map(([p, d]) => ({ labels: { path: p }, value: d.totalBytes })));
+    w.gauge("betsa_host_temperature_celsius", "Thermal zone temperature.", Object.entries(host.temperatures).map(([zone, c]) => ({ labels: { zone }, value: c })));
+
+    const displays = read("displays", []);
+    w.gauge("betsa_screen_connected", "1 when the screen's HDMI/DP output reports a connected monitor.",
+      displays.map(d => ({ labels: { screen: d.id, connector: d.connector }, value: d.status === "connected" })));
+
+    const cdp = Object.entries(read("cdp", {}));
+    w.gauge("betsa_devtools_connected", "1 while the DevTools connection to the screen's page is open.", cdp.map(([screen, s]) => ({ labels: { screen }, value: s.connected })));
+    w.counter("betsa_devtools_reconnects_total", "DevTools reconnections since start.", cdp.map(([screen, s]) => ({ labels: { screen }, value: s.reconnects })));
+
+    const sup = read("supervisor", null);
+    if (sup) {
+      w.counter("betsa_chromium_restarts_total", "Single-browser relaunches after an exit (crash, watchdog or API restart).", [{ value: sup.restarts }]);
+      w.counter("betsa_chromium_launches_total", "Browser launches per screen since start.", Object.entries(sup.launches).map(([screen, n]) => ({ labels: { screen }, value: n })));
+      w.gauge("betsa_chromium_running", "1 when the screen's browser process is alive.", Object.entries(sup.running).map(([screen, up]) => ({ labels: { screen }, value: up })));
+    }
+
+    const posts = Object.entries(read("hubPosts", {}));
+    w.counter("betsa_hub_posts_total", "POSTs to the hub by path and result.", posts.flatMap(([p, c]) => [
+      { labels: { path: p, result: "ok" }, value: c.ok },
+      { labels: { path: p, result: "failed" }, value: c.failed },
+    ]));
+    const ob = read("outbox", null);
+    if (ob) {
+      w.gauge("betsa_outbox_pending", "Hub messages waiting for delivery.", [{ value: ob.pending }]);
+      w.counter("betsa_outbox_dropped_total", "Hub messages dropped (rejected or over the outbox limit).", [{ value: ob.dropped }]);
+    }
+    return w.toString();
+  }
+
+  return { render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { initMetrics, MetricsWriter, CONTENT_TYPE };
@@ -0,0 +1,245 @@
+// network-log.js — per-screen rolling window of page requests from the CDP Network domain, summary + HAR export
+"use strict";
+
+const { config } = require("./config");
+const { getSession } = require("./cdp");
+
+const CFG = config.networkLog;
+const PRUNE_MS = 30 * 1000;
+const EVENTS = ["Network.requestWillBeSent", "Network.responseReceived", "Network.loadingFinished", "Network.loadingFailed"];
+
+function hostOf(url) {
+  try { return new URL(url).host || url.split(":")[0]; } catch { return "unknown"; }
+}
+
+// header object -> the same with secret values masked
+function redact(headers) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    out[k] = CFG.redactHeaders.includes(k.toLowerCase()) ? "[redacted]" : String(v);
+  }
+  return out;
+}
+
+function isFailed(e) { return !!e.error || (e.status !== null && e.status >= 400); }
+
+/* -------- one recorder per screen -------- */
+class NetworkRecorder {
+  constructor(screen, port) {
+    this.screen = screen;
+    this.pending = new Map(); // requestId -> entry still loading
+    this.entries = [];        // finished entries, oldest first
+    this.total = 0;           // requests seen since start
+
+    this.session = getSession(screen, port);
+    for (const method of EVENTS) this.session.on(method, params => this.onEvent(method, params));
+    this.session.on("disconnected", () => this.pending.clear()); // request ids do not survive a reconnect
+    this.session.enable("Network");
+    this.session.keepAlive();
+  }
+
+  onEvent(method, p) {
+    if (method === "Network.requestWillBeSent") {
+      const prev = this.pending.get(p.requestId);
+      if (prev && p.redirectResponse) { // same id continues with the redirect target
+        this.applyResponse(prev, p.redirectResponse);
+        prev.redirectURL = p.request.url;
+        this.finish(prev, p.timestamp);
+      }
+      this.total++;
+      this.pending.set(p.requestId, {
+        id: p.requestId,
+        url: p.request.url,
+        method: p.request.method,
+        type: p.type || "Other",
+        startedAt: new Date(p.wallTime ? p.wallTime * 1000 : Date.now()).toISOString(),
+        start: p.timestamp,
+        requestHeaders: redact(p.request.headers),
+        status: null, statusText: null, mimeType: null, protocol: null, remoteIP: null,
+        responseHeaders: {}, timing: null, fromCache: false,
+        bytes: 0, durationMs: null, error: null, canceled: false, redirectURL: "",
+      });
+      return;
+    }
+    const e = this.pending.get(p.requestId);
+    if (!e) return;
+    if (method === "Network.responseReceived") {
+      this.applyResponse(e, p.response);
+    } else if (method === "Network.loadingFinished") {
+      e.bytes = p.encodedDataLength || 0;
+      this.finish(e, p.timestamp);
+    } else if (method === "Network.loadingFailed") {
+      e.error = p.blockedReason ? `blocked:${p.blockedReason}` : p.errorText || "failed";
+      e.canceled = !!p.canceled;
+      this.finish(e, p.timestamp);
+    }
+  }
+
+  applyResponse(e, r) {
+    e.status = r.status;
+    e.statusText = r.statusText || "";
+    e.mimeType = r.mimeType || null;
+    e.protocol = r.protocol || null;
+    e.remoteIP = r.remoteIPAddress || null;
+    e.responseHeaders = redact(r.headers);
+    e.timing = r.timing || null;
+    e.fromCache = !!(r.fromDiskCache || r.fromServiceWorker || r.fromPrefetchCache);
+    if (!e.bytes && r.encodedDataLength) e.bytes = r.encodedDataLength;
+  }
+
+  finish(e, timestamp) {
+    this.pending.delete(e.id);
+    e.durationMs = typeof timestamp === "number" ? Math.max(0, Math.round((timestamp - e.start) * 1000)) : null;
+    this.entries.push(e);
+    if (this.entries.length > CFG.maxEntries) this.entries.splice(0, this.entries.length - CFG.maxEntries);
+  }
+
+  prune() {
+    const cutoff = Date.now() - CFG.windowMs;
+    while (this.entries.length && Date.parse(this.entries[0].startedAt) < cutoff) this.entries.shift();
+    for (const [id, e] of this.pending) if (Date.parse(e.startedAt) < cutoff) this.pending.delete(id);
+  }
+
+  status() {
+    return {
+      attached: this.session.status().connected,
+      entries: this.entries.length,
+      pending: this.pending.size,
+      failed: this.entries.filter(isFailed).length,
+      seen: this.total,
+    };
+  }
+}
+
+/* -------- summary -------- */
+function summarize(rec) {
+  const entries = rec.entries;
+  const failed = entries.filter(isFailed);
+  const hosts = new Map();
+  for (const e of entries) {
+    const h = hostOf(e.url);
+    const s = hosts.get(h) || { host: h, requests: 0, failed: 0, bytes: 0, totalMs: 0, maxMs: 0 };
+    s.requests++;
+    if (isFailed(e)) s.failed++;
+    s.bytes += e.bytes;
+    s.totalMs += e.durationMs || 0;
+    s.maxMs = Math.max(s.maxMs, e.durationMs || 0);
+    hosts.set(h, s);
+  }
+  const slim = e => ({ ts: e.startedAt, method: e.method, url: e.url, type: e.type, status: e.status, error: e.error, durationMs: e.durationMs, bytes: e.bytes });
+  return {
+    screen: rec.screen,
+    windowMs: CFG.windowMs,
+    from: entries.length ? entries[0].startedAt : null,
+    requests: entries.length,
+    pending: [...rec.pending.values()].map(slim),
+    failedCount: failed.length,
+    failed: failed.slice(-50).map(slim),
+    slowestHosts: [...hosts.values()]
+      .map(({ totalMs, ...s }) => ({ ...s, avgMs: Math.round(totalMs / s.requests) }))
+      .sort((a, b) => b.avgMs - a.avgMs)
+      .slice(0, 10),
+    slowestRequests: [...entries].sort((a, b) => (b.durationMs || 0) - (a.durationMs || 0)).slice(0, 10).map(slim),
+  };
+}
+
+/* -------- HAR 1.2 -------- */
+const nameValues = obj => Object.entries(obj).map(([name, value]) => ({ name, value }));
+
+// CDP ResourceTiming (ms offsets from requestTime) -> HAR timings; -1 = not applicable
+function harTimings(e) {
+  const t = e.timing;
+  const total = e.durationMs || 0;
+  if (!t) return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 };
+  const span = (a, b) => (a >= 0 && b >= 0 ? Math.max(0, b - a) : -1);
+  const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find(v => v >= 0);
+  const queued = Math.max(0, Math.round((t.requestTime - e.start) * 1000));
+  const send = span(t.sendStart, t.sendEnd);
+  const wait = span(t.sendEnd, t.receiveHeadersEnd);
+  const headersAt = queued + (t.receiveHeadersEnd >= 0 ? t.receiveHeadersEnd : 0);
+  return {
+    blocked: queued + (firstStart || 0),
+    dns: span(t.dnsStart, t.dnsEnd),
+    connect: span(t.connectStart, t.connectEnd),
+    ssl: span(t.sslStart, t.sslEnd),
+    send: Math.max(0, send),
+    wait: Math.max(0, wait),
+    receive: Math.max(0, total - headersAt),
+  };
+}
+
+function toHar(rec, version) {
+  const httpVersion = e => (e.protocol || "").toUpperCase() || "HTTP/1.1";
+  const entries = rec.entries.map(e => {
+    let query = [];
+    try { query = [...new URL(e.url).searchParams].map(([name, value]) => ({ name, value })); } catch { }
+    return {
+      startedDateTime: e.startedAt,
+      time: e.durationMs || 0,
+      request: {
+        method: e.method, url: e.url, httpVersion: httpVersion(e),
+        cookies: [], headers: nameValues(e.requestHeaders), queryString: query,
+        headersSize: -1, bodySize: -1,
+      },
+      response: {
+        status: e.status || 0, statusText: e.statusText || "", httpVersion: httpVersion(e),
+        cookies: [], headers: nameValues(e.responseHeaders),
+        content: { size: e.bytes, mimeType: e.mimeType || "x-unknown" },
+        redirectURL: e.redirectURL, headersSize: -1, bodySize: e.fromCache ? 0 : e.bytes,
+        ...(e.error ? { _error: e.error } : {}),
+      },
+      cache: {},
+      timings: harTimings(e),
+      ...(e.remoteIP ? { serverIPAddress: e.remoteIP.replace(/^\[|\]$/g, "") } : {}),
+      _resourceType: e.type,
+    };
+  });
+  return { log: { version: "1.2", creator: { name: "betsa-kiosk", version }, pages: [], entries } };
+}
+
+/**
+ * @param {object} opts
+ *   listScreens()   [{ id, debugPort }]
+ *   version         creator version written into HAR files
+ */
+function initNetworkLogs(opts) {
+  const { listScreens, version = "unknown", log = console } = opts;
+  const recorders = {};
+
+  function sync() {
+    for (const s of listScreens()) {
+      if (!recorders[s.id] || recorders[s.id].session.port !== s.debugPort) recorders[s.id] = new NetworkRecorder(s.id, s.debugPort);
+    }
+  }
+
+  function start() {
+    if (!CFG.enabled) { log.log("[network] disabled by config"); return; }
+    sync();
+    log.log(`[network] recording requests on ${Object.keys(recorders).length} screen(s), window ${CFG.windowMs / 60000} min`);
+    setInterval(() => { sync(); for (const r of Object.values(recorders)) r.prune(); }, PRUNE_MS);
+  }
+
+  /** Summary for one screen, or null when it is not being recorded. */
+  function summary(id) {
+    const r = recorders[id];
+    if (!r) return null;
+    r.prune();
+    return summarize(r);
+  }
+
+  /** HAR document for one screen, or null when it is not being recorded. */
+  function har(id) {
+    const r = recorders[id];
+    if (!r) return null;
+    r.prune();
+    return toHar(r, version);
+  }
+
+  function status() {
+    return Object.fromEntries(Object.entries(recorders).map(([id, r]) => [id, r.status()]));
+  }
+
+  return { start, summary, har, status };
+}
+
+module.exports = { initNetworkLogs };
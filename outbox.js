@@ -0,0 +1,139 @@
+// outbox.js — durable, coalescing queue for hub announcements (outbox.json in the state dir)
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { config, statePath } = require("./config");
+
+const OUTBOX_FILE = statePath("outbox.json");
+const CFG = config.outbox;
+
+/* -------- storage --------
+ * { entries: [{ key, path, payload, enqueuedAt, attempts, lastError }] }
+ * One entry per key: a newer payload for the same key replaces the old one
+ * and moves to the back, so the hub never sees an older snapshot after a newer one.
+ */
+function loadEntries() {
+  try {
+    const obj = JSON.parse(fs.readFileSync(OUTBOX_FILE, "utf8"));
+    return Array.isArray(obj && obj.entries) ? obj.entries.filter(e => e && e.key && e.path) : [];
+  } catch {
+    return [];
+  }
+}
+function saveEntries(entries) {
+  try {
+    fs.mkdirSync(path.dirname(OUTBOX_FILE), { recursive: true });
+    const tmp = `${OUTBOX_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ entries }, null, 2));
+    fs.renameSync(tmp, OUTBOX_FILE);
+  } catch (e) { console.error("[outbox] persist failed:", e); }
+}
+
+// 4xx other than timeout / rate limit means the hub will never accept it
+function isPermanent(err) {
+  return err && err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+}
+
+class Outbox {
+  /**
+   * @param {object} opts
+   *   send(path, payload)   POST to the hub; resolves on 2xx, rejects otherwise
+   *                         (err.status set when the hub answered)
+   */
+  constructor({ send, log = console }) {
+    this.send = send;
+    this.log = log;
+    this.entries = loadEntries();
+    this.timer = null;
+    this.sending = false;
+    this.backoff = CFG.retryMinMs;
+    this.nextAttemptAt = null;
+    this.lastDeliveredAt = null;
+    this.lastError = null;
+    this.dropped = 0;
+    if (this.entries.length) this.log.log(`[outbox] ${this.entries.length} message(s) left from last run`);
+  }
+
+  /** Queue `payload` for POST `path`; replaces any pending message with the same key. */
+  enqueue(hubPath, payload, key = hubPath) {
+    const prev = this.entries.findIndex(e => e.key === key);
+    if (prev !== -1) this.entries.splice(prev, 1);
+    this.entries.push({ key, path: hubPath, payload, enqueuedAt: new Date().toISOString(), attempts: 0, lastError: null });
+
+    while (this.entries.length > CFG.maxEntries) {
+      const old = this.entries.shift();
+      this.dropped++;
+      this.log.warn(`[outbox] full; dropped oldest ${old.key} from ${old.enqueuedAt}`);
+    }
+    saveEntries(this.entries);
+    if (!this.timer && !this.sending) this._schedule(0);
+  }
+
+  /** Start delivering whatever was persisted before the restart. */
+  start() {
+    if (this.entries.length) this._schedule(0);
+  }
+
+  _schedule(ms) {
+    if (this.timer) clearTimeout(this.timer);
+    this.nextAttemptAt = Date.now() + ms;
+    this.timer = setTimeout(() => { this.timer = null; this._drain(); }, ms);
+  }
+
+  async _drain() {
+    if (this.sending) return;
+    this.sending = true;
+    this.nextAttemptAt = null;
+    try {
+      while (this.entries.length) {
+        const head = this.entries[0];
+        try {
+          await this.send(head.path, head.payload);
+        } catch (err) {
+          if (this.entries[0] !== head) continue; // replaced while in flight; send the newer one
+          head.attempts++;
+          head.lastError = err.message;
+          this.lastError = `${head.key}: ${err.message}`;
+          if (isPermanent(err)) {
+            this.log.error(`[outbox] hub rejected ${head.key} (${err.message}); dropping it`);
+            this.entries.shift();
+            this.dropped++;
+            saveEntries(this.entries);
+            continue;
+          }
+          saveEntries(this.entries);
+          const jitter = Math.floor(Math.random() * 400);
+          this.log.error(`[outbox] ${head.key} failed (attempt ${head.attempts}): ${err.message}; retry in ${Math.round(this.backoff / 1000)}s`);
+          this._schedule(this.backoff + jitter);
+          this.backoff = Math.min(this.backoff * 2, CFG.retryMaxMs);
+          return;
+        }
+        // a newer payload for the key may have been queued while this one was in flight
+        const i = this.entries.indexOf(head);
+        if (i !== -1) this.entries.splice(i, 1);
+        saveEntries(this.entries);
+        this.backoff = CFG.retryMinMs;
+        this.lastDeliveredAt = new Date().toISOString();
+        this.lastError = null;
+      }
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  /** Queue summary for /diagnostic. */
+  status() {
+    return {
+      pending: this.entries.length,
+      keys: this.entries.map(e => e.key),
+      oldest: this.entries.length ? this.entries[0].enqueuedAt : null,
+      nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt).toISOString() : null,
+      lastDeliveredAt: this.lastDeliveredAt,
+      lastError: this.lastError,
+      dropped: this.dropped,
+    };
+  }
+}
+
+module.exports = { Outbox, OUTBOX_FILE };
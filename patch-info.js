@@ -1,10 +1,27 @@
 // patch-info.js
-// Reads the newest line in /var/local/patch_history and returns a
-// consistent object.  The object ALWAYS has `hasPatch` (boolean).
+// Reads /var/local/patch_history: the newest line (getLatestPatch) or the
+// whole file (getPatchHistory).  Each patch script appends one line:
+//   <number>|<ISO timestamp>|<notes>|<extra>
 
 const fs = require("fs");
 const DEFAULT_PATH = "/var/local/patch_history";
 
+function parseLine(line) {
+  const [id, ts, notes, extra] = line.split("|");
+  return {
+    patch: Number(id),
+    timestamp: ts,    // ISO-8601 UTC, written by the Bash script
+    notes,
+    extra            // e.g. "chromium 125.0.6422.1"
+  };
+}
+
+function readLines(filePath) {
+  return fs.readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter(line => line.trim().length);       // ignore blank lines
+}
+
 /**
  * Synchronous because diagnostics are already synchronous.
  * On success:  { hasPatch: true, id, timestamp, notes, extra }
@@ -12,25 +29,25 @@ const DEFAULT_PATH = "/var/local/patch_history";
  */
 function getLatestPatch(filePath = DEFAULT_PATH) {
   try {
-    const txt = fs.readFileSync(filePath, "utf8");
-    const lines = txt
-      .split("\n")
-      .filter(line => line.trim().length);       // ignore blank lines
-
+    const lines = readLines(filePath);
     if (lines.length === 0) return { hasPatch: false };
-
-    const [id, ts, notes, extra] = lines[lines.length - 1].split("|");
-    return {
-      
-      patch: Number(id),
-      timestamp: ts,    // ISO-8601 UTC, written by the Bash script
-      notes,
-      extra            // e.g. "chromium 125.0.6422.1"
-    };
+    return parseLine(lines[lines.length - 1]);
   } catch {
     // File missing, unreadable, or another error → treat as "no patches"
     return { hasPatch: false };
   }
 }
 
-module.exports = { getLatestPatch };
+/**
+ * Every applied patch, oldest first: [{ patch, timestamp, notes, extra }].
+ * Empty when the file is missing or unreadable.
+ */
+function getPatchHistory(filePath = DEFAULT_PATH) {
+  try {
+    return readLines(filePath).map(parseLine);
+  } catch {
+    return [];
+  }
+}
+
+module.exports = { getLatestPatch, getPatchHistory, PATCH_HISTORY_FILE: DEFAULT_PATH };
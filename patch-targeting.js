@@ -0,0 +1,192 @@
+// patch-targeting.js — which manifest patches this device takes now: channels, targeting rules, canary %, app version, hold
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const { config } = require("./config");
+
+// a device on a channel takes patches released to that channel or any channel after it
+const CHANNELS = ["pilot", "beta", "stable"];
+
+/*
+ * Manifest patch fields (all optional):
+ *   channel: "pilot" | "beta" | "stable"   released to this channel and the ones after it (default "stable")
+ *   targets: [rule]                        only devices matching one rule take it; the rest skip it for good
+ *   rollout: { percent, include: [rule], seed }
+ *                                          canary: `percent` of devices (by stable hash) plus those matching
+ *                                          `include` take it now; the rest wait
+ *   minAppVersion / maxAppVersion          upgrade.getVersion() bounds: below min waits, above max skips;
+ *                                          a bound that is not a number skips (it can never be judged)
+ *   hold: true                             paused fleet-wide; nobody goes past it
+ *
+ * rule: { hostnames: [glob], macs: [mac], ipRanges: ["10.1.0.0/16" | "10.1.2.3-10.1.2.50" | ip], models: [glob] }
+ *   every key present must match (any entry of its list).
+ *
+ * Decisions: "apply", "skip" (not for this device; later patches still apply) or
+ * "wait" (not yet; stops the run so patches are never applied out of order).
+ */
+
+/* -------- device facts -------- */
+function readText(file) {
+  try { return fs.readFileSync(file, "utf8").replace(/\0/g, "").trim() || null; } catch { return null; }
+}
+
+function deviceModel() {
+  return readText("/proc/device-tree/model") || readText("/sys/class/dmi/id/product_name") || "unknown";
+}
+
+/**
+ * { hostname, macs, ips, mac, model, appVersion, channel, key }; `mac` is the
+ * primary NIC's address (the id the hub knows the device by) and `key` the
+ * value canary buckets are hashed from.
+ */
+function deviceFacts(appVersion) {
+  const macs = [], ips = [];
+  let primary = null;
+  for (const nics of Object.values(os.networkInterfaces())) {
+    for (const nic of nics || []) {
+      if (nic.internal) continue;
+      if (nic.mac && nic.mac !== "00:00:00:00:00:00" && !macs.includes(nic.mac)) macs.push(nic.mac);
+      if (nic.family === "IPv4") {
+        ips.push(nic.address);
+        if (!primary) primary = nic;
+      }
+    }
+  }
+  const hostname = os.hostname();
+  const mac = primary && primary.mac !== "00:00:00:00:00:00" ? primary.mac : null;
+  return {
+    hostname,
+    macs,
+    ips,
+    mac,
+    model: deviceModel(),
+    appVersion,
+    channel: config.autopatch.channel,
+    key: mac || hostname,
+  };
+}
+
+/* -------- matching -------- */
+function globToRegExp(glob) {
+  const body = String(glob).replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${body}$`, "i");
+}
+
+const normMac = m => String(m).toLowerCase().replace(/-/g, ":");
+
+function ipToInt(ip) {
+  const parts = String(ip).trim().split(".");
+  if (parts.length !== 4) return null;
+  let n = 0;
+  for (const p of parts) {
+    if (!/^\d{1,3}$/.test(p) || Number(p) > 255) return null;
+    n = n * 256 + Number(p);
+  }
+  return n;
+}
+
+// "a.b.c.d/nn", "a.b.c.d-e.f.g.h" or a single address -> [low, high], or null when malformed
+function parseRange(spec) {
+  const s = String(spec).trim();
+  let m = s.match(/^([\d.]+)\/(\d{1,2})$/);
+  if (m) {
+    const base = ipToInt(m[1]), bits = Number(m[2]);
+    if (base === null || bits > 32) return null;
+    const size = 2 ** (32 - bits);
+    const low = base - (base % size);
+    return [low, low + size - 1];
+  }
+  m = s.match(/^([\d.]+)\s*-\s*([\d.]+)$/);
+  if (m) {
+    const low = ipToInt(m[1]), high = ipToInt(m[2]);
+    return low === null || high === null ? null : [low, high];
+  }
+  const one = ipToInt(s);
+  return one === null ? null : [one, one];
+}
+
+function inRanges(ips, specs) {
+  const ranges = specs.map(parseRange).filter(Boolean);
+  return ips.some(ip => {
+    const n = ipToInt(ip);
+    return n !== null && ranges.some(([lo, hi]) => n >= lo && n <= hi);
+  });
+}
+
+const asList = v => (Array.isArray(v) ? v : [v]);
+
+function matchesRule(rule, facts) {
+  if (!rule || typeof rule !== "object") return false;
+  const checks = {
+    hostnames: list => list.some(g => globToRegExp(g).test(facts.hostname)),
+    macs: list => list.map(normMac).some(m => facts.macs.map(normMac).includes(m)),
+    ipRanges: list => inRanges(facts.ips, list),
+    models: list => list.some(g => globToRegExp(g).test(facts.model)),
+  };
+  const keys = Object.keys(rule).filter(k => k in checks);
+  return keys.length > 0 && keys.every(k => checks[k](asList(rule[k])));
+}
+
+/* -------- canary bucket -------- */
+// FNV-1a, as computeStaggerMinuteFromIP uses for its hostname fallback
+function fnv1a(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * This device's place in a rollout, 0 <= bucket < 100. Salted with the
+ * patch number (or rollout.seed) so the same shops are not always first.
+ */
+function rolloutBucket(key, seed) {
+  return (fnv1a(`${seed}:${String(key).toLowerCase()}`) % 10000) / 100;
+}
+
+/* -------- the decision -------- */
+/** { decision: "apply" | "skip" | "wait", reason } for one manifest patch. */
+function evaluatePatch(patch, facts) {
+  const decide = (decision, reason) => ({ decision, reason });
+
+  // not for this device at all
+  if (Array.isArray(patch.targets) && patch.targets.length && !patch.targets.some(r => matchesRule(r, facts))) {
+    return decide("skip", "device matches none of the patch targets");
+  }
+  for (const key of ["minAppVersion", "maxAppVersion"]) {
+    const bound = patch[key];
+    if (bound !== undefined && bound !== null && !Number.isFinite(Number(bound))) {
+      return decide("skip", `${key} ${JSON.stringify(bound)} is not a number`);
+    }
+  }
+  if (patch.maxAppVersion !== undefined && patch.maxAppVersion !== null && facts.appVersion > Number(patch.maxAppVersion)) {
+    return decide("skip", `app version ${facts.appVersion} > maxAppVersion ${patch.maxAppVersion}`);
+  }
+
+  // for this device, but not yet
+  if (patch.hold) return decide("wait", "patch is on hold");
+  const channel = patch.channel || "stable";
+  if (!CHANNELS.includes(channel)) return decide("wait", `unknown channel "${channel}"`);
+  if (CHANNELS.indexOf(facts.channel) > CHANNELS.indexOf(channel)) {
+    return decide("wait", `released to ${channel}, device is on ${facts.channel}`);
+  }
+  if (patch.minAppVersion !== undefined && patch.minAppVersion !== null && facts.appVersion < Number(patch.minAppVersion)) {
+    return decide("wait", `app version ${facts.appVersion} < minAppVersion ${patch.minAppVersion}`);
+  }
+  const rollout = patch.rollout;
+  if (rollout && typeof rollout === "object") {
+    if (Array.isArray(rollout.include) && rollout.include.some(r => matchesRule(r, facts))) {
+      return decide("apply", "rollout include rule");
+    }
+    const percent = Number(rollout.percent ?? 100);
+    const bucket = rolloutBucket(facts.key, rollout.seed ?? patch.number);
+    if (!(bucket < percent)) return decide("wait", `rollout at ${percent}%, device bucket ${bucket}`);
+    return decide("apply", `rollout at ${percent}%, device bucket ${bucket}`);
+  }
+  return decide("apply", `released to ${channel}`);
+}
+
+module.exports = { CHANNELS, deviceFacts, evaluatePatch, matchesRule, rolloutBucket };
@@ -0,0 +1,69 @@
+// patch-verify.js — Ed25519 manifest signatures and sha256 checks for autopatch downloads
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the raw 32-byte key follows it
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+/** Thrown for anything that must stop a patch from running (bad signature, hash mismatch, missing key). */
+class PatchVerifyError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "PatchVerifyError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Public key from `file`: a PEM "PUBLIC KEY" block, or the raw 32-byte key
+ * in base64 (one line, as printed by most Ed25519 tooling).
+ */
+function loadPublicKey(file) {
+  let text;
+  try { text = fs.readFileSync(file, "utf8"); }
+  catch (e) { throw new PatchVerifyError("no-key", `cannot read patch public key ${file}: ${e.code || e.message}`); }
+  try {
+    const key = text.includes("BEGIN PUBLIC KEY")
+      ? crypto.createPublicKey(text)
+      : crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(text.trim(), "base64")]), format: "der", type: "spki" });
+    if (key.asymmetricKeyType !== "ed25519") throw new Error(`${key.asymmetricKeyType} key, expected ed25519`);
+    return key;
+  } catch (e) {
+    throw new PatchVerifyError("no-key", `invalid patch public key ${file}: ${e.message}`);
+  }
+}
+
+// signature file is either the 64 raw bytes or their base64
+function decodeSignature(buf) {
+  if (buf.length === 64) return buf;
+  const sig = Buffer.from(buf.toString("utf8").trim(), "base64");
+  if (sig.length !== 64) throw new PatchVerifyError("bad-signature", `signature is ${sig.length} bytes, expected 64`);
+  return sig;
+}
+
+/** Throws unless `sigBytes` is a valid Ed25519 signature by `key` over the exact manifest bytes. */
+function verifyManifest(manifestBytes, sigBytes, key) {
+  const sig = decodeSignature(sigBytes);
+  if (!crypto.verify(null, manifestBytes, key, sig)) {
+    throw new PatchVerifyError("bad-signature", "patch manifest signature does not match the device key");
+  }
+}
+
+function sha256Hex(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+/** Throws unless `buf` hashes to `expected` (hex, case-insensitive). */
+function verifySha256(buf, expected, what) {
+  if (!/^[0-9a-f]{64}$/i.test(expected || "")) {
+    throw new PatchVerifyError("no-checksum", `${what} has no sha256 in the manifest`);
+  }
+  const actual = sha256Hex(buf);
+  if (actual !== expected.toLowerCase()) {
+    throw new PatchVerifyError("checksum-mismatch", `${what} sha256 ${actual} does not match manifest ${expected.toLowerCase()}`);
+  }
+}
+
+module.exports = { PatchVerifyError, loadPublicKey, verifyManifest, verifySha256, sha256Hex };
@@ -0,0 +1,180 @@
+// perf.js — per-screen page performance / memory sampling with leak thresholds (reload page, restart browser)
+"use strict";
+
+const { config } = require("./config");
+const { getSession } = require("./cdp");
+
+const CFG = config.perf;
+const MB = 1024 * 1024;
+const MAX_ACTIONS = 20;
+
+const round1 = v => (v === null || typeof v === "undefined" ? null : Math.round(v * 10) / 10);
+
+// least-squares slope of value over time, in units per hour (null with too few points)
+function slopePerHour(samples, key) {
+  const pts = samples.filter(s => s[key] !== null).map(s => [Date.parse(s.ts) / 3600000, s[key]]);
+  if (pts.length < 3) return null;
+  const n = pts.length;
+  const mx = pts.reduce((a, p) => a + p[0], 0) / n;
+  const my = pts.reduce((a, p) => a + p[1], 0) / n;
+  let num = 0, den = 0;
+  for (const [x, y] of pts) { num += (x - mx) * (y - my); den += (x - mx) ** 2; }
+  return den ? round1(num / den) : null;
+}
+
+/* -------- one screen -------- */
+class ScreenPerf {
+  constructor(screenId, port) {
+    this.screenId = screenId;
+    this.session = getSession(screenId, port);
+    this.session.enable("Performance");
+    this.samples = [];        // oldest first, at most historySize
+    this.over = {};           // threshold name -> consecutive samples above it
+    this.lastActionAt = 0;
+    this.actions = [];        // recent { at, action, reason }
+    this.error = null;
+  }
+
+  async sample(rssBytes) {
+    const { metrics = [] } = await this.session.send("Performance.getMetrics");
+    const m = Object.fromEntries(metrics.map(x => [x.name, x.value]));
+    let dom = {};
+    try { dom = await this.session.send("Memory.getDOMCounters"); } catch { } // not on every build
+    const s = {
+      ts: new Date().toISOString(),
+      heapUsedMb: round1((m.JSHeapUsedSize || 0) / MB),
+      heapTotalMb: round1((m.JSHeapTotalSize || 0) / MB),
+      nodes: dom.nodes ?? m.Nodes ?? null,
+      documents: dom.documents ?? m.Documents ?? null,
+      listeners: dom.jsEventListeners ?? m.JSEventListeners ?? null,
+      layoutCount: m.LayoutCount ?? null,
+      recalcStyleCount: m.RecalcStyleCount ?? null,
+      rssMb: rssBytes === null ? null : round1(rssBytes / MB),
+    };
+    this.samples.push(s);
+    if (this.samples.length > CFG.historySize) this.samples.splice(0, this.samples.length - CFG.historySize);
+    return s;
+  }
+
+  /** Which action (if any) the latest sample calls for: { action, reason } or null. */
+  verdict(s) {
+    const checks = [
+      ["restartRssMb", s.rssMb, "restart", "browser RSS"],
+      ["reloadHeapMb", s.heapUsedMb, "reload", "JS heap"],
+      ["reloadNodes", s.nodes, "reload", "DOM nodes"],
+    ];
+    let hit = null;
+    for (const [key, value, action, label] of checks) {
+      const limit = CFG[key];
+      if (limit === null || value === null || value <= limit) { this.over[key] = 0; continue; }
+      this.over[key] = (this.over[key] || 0) + 1;
+      if (!hit && this.over[key] >= CFG.sustainSamples) {
+        hit = { action, reason: `${label} ${value} > ${limit} for ${this.over[key]} samples` };
+      }
+    }
+    return hit;
+  }
+
+  status() {
+    const latest = this.samples.length ? this.samples[this.samples.length - 1] : null;
+    // a reload or restart resets memory, so trends only cover the samples since the last one
+    const since = this.actions.length ? this.actions[this.actions.length - 1].at : "";
+    const recent = this.samples.filter(s => s.ts > since);
+    return {
+      latest,
+      trendSince: recent.length ? recent[0].ts : null,
+      heapTrendMbPerHour: slopePerHour(recent, "heapUsedMb"),
+      rssTrendMbPerHour: slopePerHour(recent, "rssMb"),
+      nodesTrendPerHour: slopePerHour(recent, "nodes"),
+      lastAction: this.actions.length ? this.actions[this.actions.length - 1] : null,
+      error: this.error,
+    };
+  }
+}
+
+/**
+ * @param {object} opts
+ *   listScreens()         [{ id, debugPort }]
+ *   isConnected(id)       skip screens without a monitor
+ *   browserPid(id)        pid of the screen's Chromium (RSS is summed over its process tree)
+ *   rssOf(pid)            host-stats.processTreeRssBytes
+ *   restart(id)           restart that screen's browser
+ *   onAction(id, action)  { at, action, reason, sample } after a reload / restart
+ */
+function initPerfMonitor(opts) {
+  const { listScreens, isConnected, browserPid, rssOf, restart, onAction = () => {}, log = console } = opts;
+  const screens = {};
+  let running = false;
+
+  function sync() {
+    for (const s of listScreens()) {
+      if (!screens[s.id] || screens[s.id].session.port !== s.debugPort) screens[s.id] = new ScreenPerf(s.id, s.debugPort);
+    }
+  }
+
+  async function act(sp, hit, sample) {
+    const now = Date.now();
+    if (now - sp.lastActionAt < CFG.cooldownMs) return;
+    sp.lastActionAt = now;
+    sp.over = {};
+    const entry = { at: new Date(now).toISOString(), action: hit.action, reason: hit.reason };
+    log.warn(`[perf] screen ${sp.screenId}: ${hit.reason} -> ${hit.action}`);
+    try {
+      if (hit.action === "reload") await sp.session.send("Page.reload", { ignoreCache: true });
+      else restart(sp.screenId);
+    } catch (e) {
+      entry.error = e.message;
+      log.warn(`[perf] screen ${sp.screenId} ${hit.action} failed: ${e.message}`);
+    }
+    sp.actions.push(entry);
+    if (sp.actions.length > MAX_ACTIONS) sp.actions.shift();
+    onAction(sp.screenId, { ...entry, sample });
+  }
+
+  async function sampleAll() {
+    if (running) return;
+    running = true;
+    try {
+      sync();
+      for (const [id, sp] of Object.entries(screens)) {
+        if (!isConnected(id)) continue;
+        const pid = browserPid(id);
+        try {
+          const s = await sp.sample(pid ? rssOf(pid) : null);
+          sp.error = null;
+          const hit = sp.verdict(s);
+          if (hit) await act(sp, hit, s);
+        } catch (e) {
+          if (sp.error !== e.message) log.warn(`[perf] screen ${id} not sampled: ${e.message}`);
+          sp.error = e.message;
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (!CFG.enabled) { log.log("[perf] disabled by config"); return; }
+    sync();
+    log.log(`[perf] sampling every ${CFG.intervalMs / 1000}s, keeping ${CFG.historySize} samples per screen`);
+    setInterval(sampleAll, CFG.intervalMs);
+  }
+
+  /** Full history and trend for GET /screens/:id/perf, or null for an unknown screen. */
+  function trend(id) {
+    const sp = screens[id];
+    if (!sp) return null;
+    const thresholds = { reloadHeapMb: CFG.reloadHeapMb, reloadNodes: CFG.reloadNodes, restartRssMb: CFG.restartRssMb, sustainSamples: CFG.sustainSamples };
+    return { screen: String(id), intervalMs: CFG.intervalMs, thresholds, ...sp.status(), actions: sp.actions, samples: sp.samples };
+  }
+
+  /** Latest sample + trend per screen for /diagnostic. */
+  function status() {
+    return Object.fromEntries(Object.entries(screens).map(([id, sp]) => [id, sp.status()]));
+  }
+
+  return { start, trend, status, sampleAll };
+}
+
+module.exports = { initPerfMonitor };
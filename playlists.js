@@ -0,0 +1,251 @@
+// playlists.js — per-screen URL playlists (playlists.json, next to urls.json) and the rotation engine
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { statePath } = require("./config");
+
+const PLAYLIST_FILE = statePath("playlists.json");
+const LOOP_POLICIES = ["loop", "once", "shuffle"];
+const MIN_DWELL_SEC = 5;
+const MAX_DWELL_SEC = 24 * 60 * 60;
+const MAX_ITEMS = 100;
+
+/* -------- storage -------- */
+// { "<screen id>": { items: [{ url, dwellSec, reload }], loop, paused } }
+function loadPlaylists() {
+  try {
+    const obj = JSON.parse(fs.readFileSync(PLAYLIST_FILE, "utf8"));
+    return obj && typeof obj === "object" && !Array.isArray(obj) ? obj : {};
+  } catch {
+    return {};
+  }
+}
+function savePlaylists(all) {
+  try {
+    fs.mkdirSync(path.dirname(PLAYLIST_FILE), { recursive: true });
+    fs.writeFileSync(PLAYLIST_FILE, JSON.stringify(all, null, 2));
+  } catch (e) { console.error("[playlist] persist failed:", e); }
+}
+
+/**
+ * Validate and normalise a playlist body.
+ * Returns { playlist } or { error }.
+ *   items[].url       page to show
+ *   items[].dwellSec  how long to stay on it
+ *   items[].reload    when the screen already shows this URL, reload it (true)
+ *                     or leave it alone (false, default)
+ *   loop              "loop" (default) | "once" (stop on the last item) | "shuffle"
+ */
+function normalizePlaylist(body) {
+  if (!body || typeof body !== "object") return { error: "expecting JSON body { items: [...] }" };
+  const { items, loop = "loop" } = body;
+  if (!Array.isArray(items)) return { error: "items must be an array" };
+  if (items.length > MAX_ITEMS) return { error: `at most ${MAX_ITEMS} items` };
+  if (!LOOP_POLICIES.includes(loop)) return { error: `loop must be one of ${LOOP_POLICIES.join(", ")}` };
+
+  const out = [];
+  for (const [i, it] of items.entries()) {
+    if (!it || typeof it.url !== "string" || !it.url) return { error: `items[${i}].url missing` };
+    try { new URL(it.url); } catch { return { error: `items[${i}].url is not a valid URL` }; }
+    const dwellSec = Number(it.dwellSec);
+    if (!Number.isInteger(dwellSec) || dwellSec < MIN_DWELL_SEC || dwellSec > MAX_DWELL_SEC) {
+      return { error: `items[${i}].dwellSec must be an integer ${MIN_DWELL_SEC}..${MAX_DWELL_SEC}` };
+    }
+    if (typeof it.reload !== "undefined" && typeof it.reload !== "boolean") return { error: `items[${i}].reload must be boolean` };
+    out.push({ url: it.url, dwellSec, reload: it.reload === true });
+  }
+  return { playlist: { items: out, loop, paused: body.paused === true } };
+}
+
+/* -------- rotation engine -------- */
+class PlaylistEngine {
+  /**
+   * @param {object} opts
+   *   redirectBrowser(id, url)  navigate a screen (screen-map / DevToolsController.navigate)
+   *   reloadBrowser(id)         reload a screen in place
+   */
+  constructor({ redirectBrowser, reloadBrowser, log = console }) {
+    this.redirectBrowser = redirectBrowser;
+    this.reloadBrowser = reloadBrowser;
+    this.log = log;
+    this.playlists = loadPlaylists();
+    this.runs = {}; // id -> { index, timer, dueAt, remainingMs, lastUrl, finished }
+    this.held = {}; // id -> true while another source (the schedule) owns the screen
+    this.started = false;
+  }
+
+  /** Begin rotating every stored playlist. Boot already sent each screen to item 0. */
+  start() {
+    this.started = true;
+    for (const id of Object.keys(this.playlists)) this._begin(id, { alreadyShown: true });
+  }
+
+  _run(id) {
+    if (!this.runs[id]) this.runs[id] = { index: 0, timer: null, dueAt: null, remainingMs: null, lastUrl: null, finished: false };
+    return this.runs[id];
+  }
+
+  _active(id) {
+    const pl = this.playlists[id];
+    return !!(pl && pl.items.length);
+  }
+
+  _driving(id) { return this.started && !this.held[id]; }
+
+  _clearTimer(r) {
+    if (r.timer) clearTimeout(r.timer);
+    r.timer = null; r.dueAt = null;
+  }
+
+  _begin(id, { alreadyShown = false } = {}) {
+    const r = this._run(id);
+    this._clearTimer(r);
+    r.index = 0; r.finished = false; r.remainingMs = null;
+    if (!this._active(id)) return;
+    if (alreadyShown) r.lastUrl = this.playlists[id].items[0].url;
+    this._show(id);
+  }
+
+  _show(id) {
+    const pl = this.playlists[id];
+    const r = this._run(id);
+    const item = pl.items[r.index];
+    if (!item) return;
+    if (!this._driving(id)) { r.lastUrl = null; r.remainingMs = null; return; }
+
+    if (item.url !== r.lastUrl) this.redirectBrowser(id, item.url);
+    else if (item.reload) this.reloadBrowser(id);
+    r.lastUrl = item.url;
+    this.log.log(`[playlist] screen ${id} item ${r.index + 1}/${pl.items.length} -> ${item.url}`);
+
+    if (pl.paused) { r.remainingMs = item.dwellSec * 1000; return; }
+    this._arm(id, item.dwellSec * 1000);
+  }
+
+  _arm(id, ms) {
+    const r = this._run(id);
+    this._clearTimer(r);
+    if (!this._driving(id)) return;
+    r.dueAt = Date.now() + ms;
+    r.timer = setTimeout(() => { r.timer = null; this._advance(id); }, ms);
+  }
+
+  _nextIndex(pl, index) {
+    const n = pl.items.length;
+    if (pl.loop === "shuffle" && n > 1) {
+      const pick = Math.floor(Math.random() * (n - 1));
+      return pick >= index ? pick + 1 : pick;
+    }
+    if (index + 1 < n) return index + 1;
+    return pl.loop === "once" ? -1 : 0;
+  }
+
+  _advance(id) {
+    if (!this._active(id)) return;
+    const pl = this.playlists[id];
+    const r = this._run(id);
+    const next = this._nextIndex(pl, r.index);
+    if (next === -1) {
+      r.finished = true; r.dueAt = null;
+      this.log.log(`[playlist] screen ${id} reached the end (loop=once)`);
+      return;
+    }
+    r.index = next;
+    this._show(id);
+  }
+
+  /* -------- public API (used by the routes) -------- */
+  get(id) { return this.playlists[id] || null; }
+
+  set(id, playlist) {
+    if (playlist && playlist.items.length) this.playlists[id] = playlist;
+    else delete this.playlists[id];
+    savePlaylists(this.playlists);
+    if (this.started) this._begin(id);
+  }
+
+  /** Stop rotating while something else owns the screen; the position is kept. */
+  hold(id) {
+    this.held[id] = true;
+    const r = this.runs[id];
+    if (r) { this._clearTimer(r); r.lastUrl = null; }
+  }
+
+  /** Hand the screen back. Returns true if a playlist took it over again. */
+  release(id) {
+    if (!this.held[id]) return this._active(id);
+    delete this.held[id];
+    if (!this._active(id) || !this.started) return false;
+    const r = this._run(id);
+    if (r.finished) this._begin(id);
+    else this._show(id);
+    return true;
+  }
+
+  pause(id) {
+    const pl = this.playlists[id];
+    if (!pl) return false;
+    const r = this._run(id);
+    if (!pl.paused) {
+      pl.paused = true;
+      r.remainingMs = r.dueAt ? Math.max(0, r.dueAt - Date.now()) : r.remainingMs;
+      this._clearTimer(r);
+      savePlaylists(this.playlists);
+    }
+    return true;
+  }
+
+  resume(id) {
+    const pl = this.playlists[id];
+    if (!pl) return false;
+    if (pl.paused) {
+      pl.paused = false;
+      savePlaylists(this.playlists);
+      const r = this._run(id);
+      if (this.started && !r.finished) {
+        const item = pl.items[r.index];
+        this._arm(id, r.remainingMs != null ? r.remainingMs : item.dwellSec * 1000);
+      }
+    }
+    return true;
+  }
+
+  /** Skip to the next item now (also restarts a finished "once" playlist). */
+  next(id) {
+    if (!this._active(id)) return false;
+    const r = this._run(id);
+    if (r.finished) { this._begin(id); return true; }
+    this._advance(id);
+    return true;
+  }
+
+  /** URL the playlist wants on this screen right now, or null if it has none. */
+  currentUrl(id) {
+    if (!this._active(id)) return null;
+    const r = this.runs[id];
+    return this.playlists[id].items[r ? r.index : 0].url;
+  }
+
+  /** Per-screen summary for /diagnostic and the hub announce. */
+  status() {
+    const out = {};
+    for (const [id, pl] of Object.entries(this.playlists)) {
+      const r = this.runs[id] || { index: 0 };
+      const item = pl.items[r.index] || null;
+      out[id] = {
+        items: pl.items.length,
+        index: r.index,
+        current: item ? item.url : null,
+        loop: pl.loop,
+        paused: !!pl.paused,
+        held: !!this.held[id],
+        finished: !!r.finished,
+        nextAt: r.dueAt ? new Date(r.dueAt).toISOString() : null,
+      };
+    }
+    return out;
+  }
+}
+
+module.exports = { PlaylistEngine, normalizePlaylist, PLAYLIST_FILE };
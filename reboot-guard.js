@@ -1,12 +1,15 @@
-// reboot-guard.js - safe reboot utilities and endpoint handler (blocking with detailed reasons)
+// reboot-guard.js - safe reboot utilities and reboot jobs (wait for the guard, with detailed reasons)
 "use strict";
 
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const { execSync, spawn } = require("child_process");
+const { config } = require("./config");
 
-const APP_DIR = "/opt/betsa-display-screens";
+const APP_DIR = config.appDir;
 const LOG_EVERY_MS = 10_000; // throttle identical "blocked" logs
+const KEEP_JOBS = 20;        // finished reboot jobs kept for GET /reboot/:job
 
 let lastLogAt = 0;
 let lastLogKey = "";
@@ -118,8 +121,14 @@ function isUpdaterBusy() {
   return detectBusyDetailed().reasons.length > 0;
 }
 
-function scheduleRebootNow() {
-  setTimeout(() => spawn("sudo", ["reboot"], { stdio: "ignore", detached: true }).unref(), 100);
+/** Run `sudo reboot`; onFailed(error) when it cannot be started or exits non-zero (e.g. no sudoers entry). */
+function scheduleRebootNow(onFailed = () => {}) {
+  setTimeout(() => {
+    const child = spawn("sudo", ["-n", "reboot"], { stdio: "ignore", detached: true });
+    child.on("error", err => onFailed(err));
+    child.on("exit", code => { if (code) onFailed(new Error(`sudo reboot exited with code ${code}`)); });
+    child.unref();
+  }, 100);
 }
 
 /* ------------------------------ logging ------------------------------ */
@@ -164,34 +173,155 @@ function logBlockedIfNeeded(snapshot) {
   }
 }
 
-/* ------------------------------ waiter and route ------------------------------ */
+/* ------------------------------ reboot jobs ------------------------------ */
+// POST /reboot starts (or joins) one job that waits for the guard, then reboots.
+// Callers poll GET /reboot/:job instead of holding a request open.
 
-// Waits until ready; logs throttled details while waiting.
-function waitUntilReady(intervalMs = 4000) {
-  return new Promise(resolve => {
-    const tick = () => {
-      try {
-        const snap = detectBusyDetailed();
-        if (snap.reasons.length === 0) return resolve();
-        logBlockedIfNeeded(snap);
-      } catch (e) {
-        // Do not abort; keep waiting. Optionally log once if needed.
-        console.log(`[reboot-guard] error while checking busy state: ${e && e.message ? e.message : e}`);
+const JOB_POLL_MS = 4000;
+const jobs = new Map();  // id -> job, newest last (bounded by KEEP_JOBS)
+let pendingJob = null;   // the job still waiting, if any
+
+function httpError(status, msg) { return Object.assign(new Error(msg), { status }); }
+
+function snapshotFor(job) {
+  try {
+    const snap = detectBusyDetailed();
+    job.blockers = snap;
+    job.checkedAt = new Date().toISOString();
+    job.checks++;
+    return snap;
+  } catch (e) {
+    // Do not abort; keep waiting.
+    console.log(`[reboot-guard] error while checking busy state: ${e && e.message ? e.message : e}`);
+    return null;
+  }
+}
+
+function finishJob(job, state, note) {
+  clearTimeout(job.timer);
+  job.timer = null;
+  job.state = state;
+  job.finishedAt = new Date().toISOString();
+  if (note) job.note = note;
+  if (pendingJob === job) pendingJob = null;
+  console.log(`[reboot-guard] job ${job.id} ${state}${note ? `: ${note}` : ""}`);
+  if (state === "rebooting") {
+    scheduleRebootNow(err => {
+      job.state = "failed";
+      job.error = err.message;
+      job.finishedAt = new Date().toISOString();
+      console.error(`[reboot-guard] job ${job.id} failed: ${err.message}`);
+    });
+  }
+}
+
+function tickJob(job) {
+  job.timer = null;
+  if (job.state !== "waiting") return;
+  const snap = snapshotFor(job);
+  if (snap && snap.reasons.length === 0) return finishJob(job, "rebooting");
+  if (snap) logBlockedIfNeeded(snap);
+  if (job.deadline && Date.now() >= Date.parse(job.deadline)) {
+    return finishJob(job, "timed-out", snap ? snap.reasons.join(" | ") : "busy state unknown");
+  }
+  const untilDeadline = job.deadline ? Math.max(0, Date.parse(job.deadline) - Date.now()) : JOB_POLL_MS;
+  job.timer = setTimeout(() => tickJob(job), Math.min(JOB_POLL_MS, untilDeadline));
+}
+
+// public view (no timer handle)
+function jobView(job) {
+  const { timer, ...view } = job;
+  return view;
+}
+
+/**
+ * Start a reboot job, or attach to the one already waiting (a caller with an
+ * earlier deadline than the waiting job's moves it forward).
+ *   maxWaitMs  give up (state "timed-out") after this long; null = wait forever
+ *   force      reboot now, skipping the guard (the route only allows this for admins)
+ * Returns { job, attached }.
+ */
+function requestReboot({ maxWaitMs = config.reboot.defaultMaxWaitMs, force = false, requestedBy = null } = {}) {
+  if (maxWaitMs !== null && (!Number.isInteger(maxWaitMs) || maxWaitMs < 0 || maxWaitMs > config.reboot.maxWaitMs)) {
+    throw httpError(400, `maxWaitMs must be an integer 0..${config.reboot.maxWaitMs}`);
+  }
+  if (pendingJob) {
+    const job = pendingJob;
+    job.requests++;
+    if (force) {
+      finishJob(job, "rebooting", `forced by ${requestedBy || "unknown"}`);
+    } else if (maxWaitMs !== null) {
+      const deadline = Date.now() + maxWaitMs;
+      if (!job.deadline || deadline < Date.parse(job.deadline)) {
+        job.deadline = new Date(deadline).toISOString();
+        job.maxWaitMs = deadline - Date.parse(job.createdAt);
+        job.note = `deadline moved forward by ${requestedBy || "unknown"}`;
+        clearTimeout(job.timer);
+        job.timer = setTimeout(() => tickJob(job), Math.min(JOB_POLL_MS, maxWaitMs));
       }
-      setTimeout(tick, intervalMs);
-    };
-    tick();
-  });
+    }
+    return { job: jobView(job), attached: true };
+  }
+
+  const now = Date.now();
+  const job = {
+    id: `${now.toString(36)}-${crypto.randomBytes(3).toString("hex")}`,
+    state: "waiting",          // waiting | rebooting | failed (reboot command failed) | cancelled | timed-out
+    createdAt: new Date(now).toISOString(),
+    requestedBy,
+    force,
+    maxWaitMs,
+    deadline: maxWaitMs === null ? null : new Date(now + maxWaitMs).toISOString(),
+    requests: 1,
+    checks: 0,
+    checkedAt: null,
+    blockers: null,
+    finishedAt: null,
+    timer: null,
+  };
+  jobs.set(job.id, job);
+  while (jobs.size > KEEP_JOBS) jobs.delete(jobs.keys().next().value);
+
+  if (force) {
+    snapshotFor(job); // record what was skipped
+    finishJob(job, "rebooting", `forced by ${requestedBy || "unknown"}`);
+  } else {
+    pendingJob = job;
+    console.log(`[reboot-guard] job ${job.id} waiting (max ${maxWaitMs === null ? "unlimited" : `${maxWaitMs}ms`})`);
+    tickJob(job);
+  }
+  return { job: jobView(job), attached: false };
+}
+
+/** Job by id with live blockers while it is waiting, or null. */
+function getRebootJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (job.state === "waiting") snapshotFor(job);
+  return jobView(job);
+}
+
+/** Cancel a waiting job. Throws err.status 404 / 409. */
+function cancelRebootJob(id, by = null) {
+  const job = jobs.get(id);
+  if (!job) throw httpError(404, "no such reboot job");
+  if (job.state !== "waiting") throw httpError(409, `job is ${job.state}`);
+  finishJob(job, "cancelled", by ? `by ${by}` : null);
+  return jobView(job);
 }
 
-// One way to call it: POST /reboot. It waits until safe, then replies 200 and reboots.
-async function handleRebootBlocking(_req, res) {
-  await waitUntilReady();
-  res.send("Rebooting...");
-  scheduleRebootNow();
+/** What would block a reboot right now (dry run). */
+function rebootBlockers() {
+  const snap = detectBusyDetailed();
+  return { ready: snap.reasons.length === 0, ...snap, pendingJob: pendingJob ? pendingJob.id : null };
 }
 
 module.exports = {
-  handleRebootBlocking,
-  isUpdaterBusy
+  requestReboot,
+  getRebootJob,
+  cancelRebootJob,
+  rebootBlockers,
+  isUpdaterBusy,
+  detectBusyDetailed,
+  scheduleRebootNow
 };
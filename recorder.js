@@ -0,0 +1,158 @@
+// recorder.js — short MP4 / GIF clips of one output: ffmpeg x11grab on its xrandr geometry, CDP screencast fallback
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, execSync } = require("child_process");
+const { config } = require("./config");
+const { getScreen } = require("./screens");
+const { getOutputs } = require("./screenshot");
+const { getSession } = require("./cdp");
+
+const CFG = config.recording;
+const FORMATS = { mp4: "video/mp4", gif: "image/gif" };
+const METHODS = ["auto", "x11", "cdp"];
+
+let current = null; // { screen, method, startedAt, seconds } while a clip is being made
+
+function httpError(status, msg) { return Object.assign(new Error(msg), { status }); }
+function have(cmd) {
+  try { return !!execSync(`command -v ${cmd} || true`, { encoding: "utf8" }).trim(); } catch { return false; }
+}
+function displayName() {
+  const d = process.env.DISPLAY || config.desktop.display;
+  return d.includes(".") ? d : `${d}.0`;
+}
+
+/** Validate ?seconds=&format=&method=. Returns { opts } or { error }. */
+function parseRecordOptions(q = {}) {
+  const seconds = typeof q.seconds === "undefined" ? CFG.defaultSeconds : Number(q.seconds);
+  if (!Number.isInteger(seconds) || seconds < 1 || seconds > CFG.maxSeconds) return { error: `seconds must be an integer 1..${CFG.maxSeconds}` };
+  const format = String(q.format || "mp4").toLowerCase();
+  if (!FORMATS[format]) return { error: `format must be one of ${Object.keys(FORMATS).join(", ")}` };
+  const method = String(q.method || "auto").toLowerCase();
+  if (!METHODS.includes(method)) return { error: `method must be one of ${METHODS.join(", ")}` };
+  return { opts: { seconds, format, method } };
+}
+
+/* -------- ffmpeg -------- */
+function runFfmpeg(args, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const env = { ...process.env, DISPLAY: process.env.DISPLAY || config.desktop.display, XAUTHORITY: process.env.XAUTHORITY || config.desktop.xauthority };
+    const child = spawn("ffmpeg", ["-hide_banner", "-loglevel", "error", "-nostdin", "-y", ...args], { env, stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+    child.stderr.on("data", c => { if (stderr.length < 4000) stderr += c; });
+    const timer = setTimeout(() => { child.kill("SIGKILL"); }, timeoutMs);
+    child.on("error", err => { clearTimeout(timer); reject(err); });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg ${signal ? `killed (${signal})` : `exited ${code}`}: ${stderr.split("\n")[0]}`));
+    });
+  });
+}
+
+// encoder arguments shared by both capture paths
+function outputArgs(format, outFile) {
+  const scale = `scale='min(${CFG.maxWidth},iw)':-2`;
+  if (format === "gif") {
+    return ["-vf", `fps=${CFG.fps},${scale}:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`, "-fs", String(CFG.maxBytes), outFile];
+  }
+  return ["-vf", scale, "-c:v", "libx264", "-preset", "veryfast", "-crf", "28", "-pix_fmt", "yuv420p",
+          "-movflags", "+faststart", "-fs", String(CFG.maxBytes), outFile];
+}
+
+async function recordViaX11(g, { seconds, format }, outFile) {
+  const input = ["-f", "x11grab", "-draw_mouse", "0", "-framerate", String(CFG.fps),
+                 "-video_size", `${g.w}x${g.h}`, "-i", `${displayName()}+${g.x},${g.y}`, "-t", String(seconds)];
+  console.info(`[record] method=x11grab region=${g.w}x${g.h}+${g.x}+${g.y} seconds=${seconds} format=${format}`);
+  await runFfmpeg([...input, ...outputArgs(format, outFile)], (seconds + 60) * 1000);
+}
+
+/* -------- CDP screencast -------- */
+// Collect screencast frames for `seconds`; returns [{ file, ts }] written into dir.
+async function collectScreencast(screenId, seconds, dir) {
+  const session = getSession(screenId);
+  const frames = [];
+  const onFrame = ({ data, metadata, sessionId }) => {
+    session.send("Page.screencastFrameAck", { sessionId }).catch(() => {});
+    const file = path.join(dir, `f${String(frames.length).padStart(5, "0")}.jpg`);
+    fs.writeFileSync(file, Buffer.from(data, "base64"));
+    frames.push({ file, ts: metadata && metadata.timestamp ? metadata.timestamp : Date.now() / 1000 });
+  };
+
+  session.on("Page.screencastFrame", onFrame);
+  try {
+    await session.send("Page.startScreencast", { format: "jpeg", quality: 80, maxWidth: CFG.maxWidth, everyNthFrame: 1 });
+    await new Promise(r => setTimeout(r, seconds * 1000));
+    await session.send("Page.stopScreencast").catch(() => {});
+  } finally {
+    session.off("Page.screencastFrame", onFrame);
+  }
+  return frames;
+}
+
+async function recordViaCdp(screenId, { seconds, format }, outFile, workDir) {
+  console.info(`[record] method=screencast screen=${screenId} seconds=${seconds} format=${format}`);
+  const frames = await collectScreencast(screenId, seconds, workDir);
+  if (!frames.length) throw new Error("screencast produced no frames");
+
+  // Chromium only sends frames when something repaints: keep each one on screen until the next
+  const end = frames[0].ts + seconds;
+  const lines = ["ffconcat version 1.0"];
+  frames.forEach((f, i) => {
+    const next = i + 1 < frames.length ? frames[i + 1].ts : end;
+    lines.push(`file '${path.basename(f.file)}'`, `duration ${Math.max(0.01, next - f.ts).toFixed(3)}`);
+  });
+  lines.push(`file '${path.basename(frames[frames.length - 1].file)}'`);
+  const list = path.join(workDir, "frames.txt");
+  fs.writeFileSync(list, lines.join("\n") + "\n");
+
+  const input = ["-f", "concat", "-safe", "0", "-i", list, "-r", String(CFG.fps)];
+  await runFfmpeg([...input, ...outputArgs(format, outFile)], 120 * 1000);
+}
+
+/* -------- public API -------- */
+/**
+ * Record one screen. Resolves { mime, buffer, method, truncated }.
+ * Rejects with err.status 404 (unknown screen), 409 (already recording),
+ * 501 (no ffmpeg) or 503 (screen not connected).
+ */
+async function recordClip(screenId, opts) {
+  const scr = getScreen(screenId);
+  if (!scr) throw httpError(404, `unknown screen ${screenId}`);
+  if (current) throw httpError(409, `already recording screen ${current.screen} (started ${current.startedAt})`);
+  if (!have("ffmpeg")) throw httpError(501, "ffmpeg not available");
+
+  const { connected, headsByName } = getOutputs();
+  const g = headsByName[scr.connector];
+  if (!connected[scr.id] || !g) throw httpError(503, `screen ${scr.id} not connected`);
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `record-${scr.id}-`));
+  const outFile = path.join(workDir, `clip.${opts.format}`);
+  current = { screen: scr.id, method: opts.method, seconds: opts.seconds, startedAt: new Date().toISOString() };
+  try {
+    let method = null;
+    const errors = [];
+    if (opts.method !== "cdp") {
+      try { await recordViaX11(g, opts, outFile); method = "x11grab"; }
+      catch (e) { errors.push(`x11grab: ${e.message}`); console.warn(`[record] x11grab failed: ${e.message}`); }
+    }
+    if (!method && opts.method !== "x11") {
+      try { await recordViaCdp(scr.id, opts, outFile, workDir); method = "screencast"; }
+      catch (e) { errors.push(`screencast: ${e.message}`); console.warn(`[record] screencast failed: ${e.message}`); }
+    }
+    if (!method) throw new Error(`recording failed: ${errors.join("; ")}`);
+
+    const buffer = fs.readFileSync(outFile);
+    return { mime: FORMATS[opts.format], buffer, method, truncated: buffer.length >= CFG.maxBytes * 0.99 };
+  } finally {
+    current = null;
+    fs.rm(workDir, { recursive: true, force: true }, () => {});
+  }
+}
+
+function recordingStatus() { return current; }
+
+module.exports = { recordClip, parseRecordOptions, recordingStatus };
@@ -0,0 +1,213 @@
+// schedule.js — time-of-day / day-of-week content rules (schedule.json) evaluated on the device
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { config, statePath } = require("./config");
+const { zonedParts, zonedToDate, parseHHMM, parseDays } = require("./zoned-time");
+
+const SCHEDULE_FILE = statePath("schedule.json");
+const TICK_MS = 30 * 1000;
+const CLOCK_JUMP_MS = 2 * 60 * 1000; // wall clock moved this much more than the timer did
+const LOOKAHEAD_DAYS = 8;
+
+/* -------- storage --------
+ * {
+ *   rules: [{ id, screens: ["1"], days: "mon-fri", start: "08:00", end: "18:00", url }],
+ *   fallback: { "1": url }      // "otherwise" URL per screen (optional)
+ * }
+ * Rules are checked in order; the first one that matches a screen wins.
+ * end <= start means the window runs past midnight; start == end means all day.
+ */
+function loadSchedule() {
+  try {
+    const obj = JSON.parse(fs.readFileSync(SCHEDULE_FILE, "utf8"));
+    const { schedule } = normalizeSchedule(obj);
+    return schedule || { rules: [], fallback: {} };
+  } catch {
+    return { rules: [], fallback: {} };
+  }
+}
+function saveSchedule(s) {
+  try {
+    fs.mkdirSync(path.dirname(SCHEDULE_FILE), { recursive: true });
+    fs.writeFileSync(SCHEDULE_FILE, JSON.stringify(s, null, 2));
+  } catch (e) { console.error("[schedule] persist failed:", e); }
+}
+
+/** Validate a schedule body. Returns { schedule } or { error }. */
+function normalizeSchedule(body) {
+  if (!body || typeof body !== "object") return { error: "expecting JSON body { rules: [...] }" };
+  if (!Array.isArray(body.rules)) return { error: "rules must be an array (send { rules: [] } to clear the schedule)" };
+  const rules = body.rules;
+  const out = [];
+  for (const [i, r] of rules.entries()) {
+    const where = `rules[${i}]`;
+    if (!r || typeof r !== "object") return { error: `${where} must be an object` };
+    if (!Array.isArray(r.screens) || !r.screens.length) return { error: `${where}.screens must list screen ids` };
+    const days = typeof r.days === "undefined" ? [0, 1, 2, 3, 4, 5, 6] : parseDays(r.days);
+    if (!days || !days.length) return { error: `${where}.days not understood` };
+    if (Number.isNaN(parseHHMM(r.start)) || Number.isNaN(parseHHMM(r.end))) return { error: `${where}.start/end must be HH:MM` };
+    if (typeof r.url !== "string") return { error: `${where}.url missing` };
+    try { new URL(r.url); } catch { return { error: `${where}.url is not a valid URL` }; }
+    out.push({
+      id: typeof r.id === "string" && r.id ? r.id : `rule-${i + 1}`,
+      screens: r.screens.map(String),
+      days: r.days ?? "mon-sun",
+      start: r.start,
+      end: r.end,
+      url: r.url,
+    });
+  }
+  const fallback = {};
+  if (body.fallback && typeof body.fallback === "object") {
+    for (const [id, url] of Object.entries(body.fallback)) {
+      if (url === null) continue;
+      try { new URL(url); } catch { return { error: `fallback.${id} is not a valid URL` }; }
+      fallback[id] = url;
+    }
+  }
+  return { schedule: { rules: out, fallback } };
+}
+
+/* -------- evaluation -------- */
+function ruleMatches(rule, parts) {
+  const days = parseDays(rule.days);
+  const s = parseHHMM(rule.start), e = parseHHMM(rule.end);
+  const mins = parts.hour * 60 + parts.minute;
+  const today = days.includes(parts.weekday);
+  const yesterday = days.includes((parts.weekday + 6) % 7);
+  if (s === e) return today;
+  if (s < e) return today && mins >= s && mins < e;
+  return (today && mins >= s) || (yesterday && mins < e);
+}
+
+/** What the schedule wants on `screenId` at `date`: { source, ruleId, url } or null. */
+function evaluate(schedule, screenId, date, tz) {
+  const parts = zonedParts(date, tz);
+  for (const rule of schedule.rules) {
+    if (rule.screens.includes(screenId) && ruleMatches(rule, parts)) {
+      return { source: "rule", ruleId: rule.id, url: rule.url };
+    }
+  }
+  const fb = schedule.fallback[screenId];
+  return fb ? { source: "fallback", ruleId: null, url: fb } : null;
+}
+
+function sameTarget(a, b) {
+  return (a ? `${a.ruleId}|${a.url}` : "") === (b ? `${b.ruleId}|${b.url}` : "");
+}
+
+/** Next instant after `now` at which the result of evaluate() changes for the screen. */
+function nextTransition(schedule, screenId, now, tz) {
+  const rules = schedule.rules.filter(r => r.screens.includes(screenId));
+  if (!rules.length) return null;
+  const today = zonedParts(now, tz);
+  const candidates = [];
+  for (let k = 0; k <= LOOKAHEAD_DAYS; k++) {
+    for (const r of rules) {
+      for (const hhmm of [r.start, r.end]) {
+        const mins = parseHHMM(hhmm);
+        const at = zonedToDate(today.year, today.month, today.day + k, Math.floor(mins / 60), mins % 60, tz);
+        if (at > now) candidates.push(at);
+      }
+      // midnight where the rule's days start or stop (all-day rules have no other edge there)
+      const midnight = zonedToDate(today.year, today.month, today.day + k, 0, 0, tz);
+      const wd = zonedParts(zonedToDate(today.year, today.month, today.day + k, 12, 0, tz), tz).weekday;
+      const days = parseDays(r.days);
+      if (midnight > now && days.includes(wd) !== days.includes((wd + 6) % 7)) candidates.push(midnight);
+    }
+  }
+  candidates.sort((a, b) => a - b);
+  const current = evaluate(schedule, screenId, now, tz);
+  for (const at of candidates) {
+    const then = evaluate(schedule, screenId, at, tz);
+    if (!sameTarget(current, then)) return { at: at.toISOString(), to: then };
+  }
+  return null;
+}
+
+/* -------- engine -------- */
+class ScheduleEngine {
+  /**
+   * @param {object} opts
+   *   listScreenIds()         ids to evaluate
+   *   apply(id, url, meta)    the schedule takes the screen over and shows url;
+   *                           meta.initial is set on the boot pass, when the
+   *                           diagnostic page already hands over to that url
+   *   release(id)             the schedule no longer wants the screen
+   */
+  constructor({ listScreenIds, apply, release, tz = config.timezone, log = console }) {
+    this.listScreenIds = listScreenIds;
+    this.apply = apply;
+    this.release = release;
+    this.tz = tz;
+    this.log = log;
+    this.schedule = loadSchedule();
+    this.applied = {}; // id -> target currently enforced (null = released)
+    this.timer = null;
+    this.lastTickAt = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.log.log(`[schedule] ${this.schedule.rules.length} rule(s), timezone ${this.tz}`);
+    this.tick({ initial: true });
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+  }
+
+  tick({ initial = false } = {}) {
+    const now = Date.now();
+    if (this.lastTickAt && Math.abs(now - this.lastTickAt - TICK_MS) > CLOCK_JUMP_MS) {
+      this.log.warn(`[schedule] clock changed by ~${Math.round((now - this.lastTickAt - TICK_MS) / 1000)}s; re-evaluating`);
+    }
+    this.lastTickAt = now;
+
+    for (const id of this.listScreenIds()) {
+      const want = evaluate(this.schedule, id, new Date(now), this.tz);
+      const had = this.applied[id] || null;
+      if (sameTarget(had, want) && id in this.applied) continue;
+      this.applied[id] = want;
+      if (want) {
+        this.log.log(`[schedule] screen ${id} -> ${want.source === "rule" ? `rule ${want.ruleId}` : "fallback"}: ${want.url}`);
+        this.apply(id, want.url, { initial });
+      } else if (had) {
+        this.log.log(`[schedule] screen ${id} released`);
+        this.release(id);
+      }
+    }
+  }
+
+  get() { return this.schedule; }
+
+  set(schedule) {
+    this.schedule = schedule;
+    saveSchedule(schedule);
+    if (this.timer) this.tick();
+  }
+
+  /** URL the schedule wants on this screen right now, or null. */
+  currentUrl(id) {
+    const t = evaluate(this.schedule, String(id), new Date(), this.tz);
+    return t ? t.url : null;
+  }
+
+  /** Active rule and next transition per screen, for GET /schedule. */
+  status() {
+    const now = new Date();
+    const screens = {};
+    for (const id of this.listScreenIds()) {
+      screens[id] = {
+        active: evaluate(this.schedule, id, now, this.tz),
+        next: nextTransition(this.schedule, id, now, this.tz),
+      };
+    }
+    return {
+      timezone: this.tz,
+      localTime: now.toLocaleString("en-ZA", { timeZone: this.tz }),
+      screens,
+    };
+  }
+}
+
+module.exports = { ScheduleEngine, normalizeSchedule, evaluate, nextTransition, SCHEDULE_FILE };
@@ -1,24 +1,24 @@
-// screen-map.js — PORT-BASED binding: HDMI-1 -> 9222, HDMI-2 -> 9223
+// screen-map.js — PORT-BASED binding: one DevTools controller per screen in screens.js
 "use strict";
 
+const { listScreens, refreshScreens, getScreen } = require("./screens");
+
 function initScreenControllers(opts) {
   const {
     DevToolsController,
     loadState,
     log = console,
+    pollMs = 5000,
   } = opts;
 
-  const PORTS = { "1": 9222, "2": 9223 };
-
-  let controllers = { "1": null, "2": null };
-  let desired = { "1": null, "2": null };
+  const controllers = {};
+  const desired = {};
 
-  // Load saved URLs (hdmi1/hdmi2) and apply as soon as possible
+  // Load saved URLs ({ "<id>": url }) and apply as soon as possible
   try {
-    const state = typeof loadState === "function" ? loadState() : { hdmi1: null, hdmi2: null };
+    const state = typeof loadState === "function" ? loadState() : {};
     if (state && typeof state === "object") {
-      desired["1"] = state.hdmi1 || null;
-      desired["2"] = state.hdmi2 || null;
+      for (const [id, url] of Object.entries(state)) desired[id] = url || null;
     }
   } catch (e) {
     log.warn(`[screen-map] loadState failed: ${e.message || e}`);
@@ -26,32 +26,45 @@ function initScreenControllers(opts) {
 
   function ensureController(id) {
     if (controllers[id]) return controllers[id];
-    const port = PORTS[id];
-    const c = new DevToolsController(id, port);
-    c.port = port;
+    const scr = getScreen(id);
+    if (!scr) return null;
+    const c = new DevToolsController(id, scr.debugPort);
+    c.port = scr.debugPort;
     controllers[id] = c;
     if (desired[id]) c.navigate(desired[id]);
-    log.info(`[screen-map] controller ${id} -> port ${port} (port-based)`);
+    log.info(`[screen-map] controller ${id} -> port ${scr.debugPort} (${scr.connector})`);
     return c;
   }
 
-  // Build both controllers up front; they auto-reconnect if the browser is not up yet
-  ensureController("1");
-  ensureController("2");
+  // Build all controllers up front; they auto-reconnect if the browser is not up yet
+  for (const s of listScreens()) ensureController(s.id);
+
+  // Pick up screens discovered later (hotplug of a new connector)
+  if (pollMs > 0) {
+    setInterval(() => {
+      for (const s of refreshScreens()) ensureController(s.id);
+    }, pollMs).unref();
+  }
 
   function redirectBrowser(id, url) {
-    if (id !== "1" && id !== "2") return;
-    desired[id] = url || null;
+    id = String(id);
     const c = controllers[id] || ensureController(id);
+    if (!c) return;
+    desired[id] = url || null;
     if (url) c.navigate(url);
     log.info(`[screen-map] desired[${id}] = ${url || "null"}`);
   }
 
+  function reloadBrowser(id) {
+    const c = controllers[String(id)];
+    if (c) c.reload();
+  }
+
   function getCurrentPorts() {
-    return { "1": PORTS["1"], "2": PORTS["2"] };
+    return Object.fromEntries(listScreens().map(s => [s.id, s.debugPort]));
   }
 
-  return { redirectBrowser, getCurrentPorts };
+  return { redirectBrowser, reloadBrowser, getCurrentPorts };
 }
 
 module.exports = { initScreenControllers };
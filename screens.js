@@ -0,0 +1,144 @@
+// screens.js — the list of screens { id, connector, debugPort, profileDir }: configured or discovered from xrandr
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { config, statePath } = require("./config");
+
+const DISCOVERED_FILE = statePath("screens.json");
+const BASE_DEBUG_PORT = 9222;
+// ids "1"/"2" have always meant HDMI-1/HDMI-2; keep that on boxes that have them
+const LEGACY_CONNECTORS = ["HDMI-1", "HDMI-2"];
+// preferred order when numbering newly seen connectors
+const CONNECTOR_RANK = [/^HDMI/i, /^DP/i, /^DVI/i, /^VGA/i, /^(eDP|LVDS|DSI)/i];
+
+/* -------- xrandr -------- */
+function runXrandr() {
+  try {
+    const env = { ...process.env, DISPLAY: config.desktop.display, XAUTHORITY: config.desktop.xauthority };
+    return execSync("xrandr --query", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"], env }).toString();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Parse `xrandr --query`.
+ * Returns { outputs: { [name]: { name, status, w, h, x, y } }, order: [name], total: { W, H } }
+ * Geometry is only present for connected outputs with an active mode.
+ */
+function parseXrandr(text) {
+  const outputs = {};
+  const order = [];
+  for (const line of String(text || "").split("\n")) {
+    const m = line.match(/^([A-Za-z0-9-]+)\s+(connected|disconnected)\b(.*)$/);
+    if (!m) continue;
+    const name = m[1], status = m[2], rest = m[3] || "";
+    const o = { name, status };
+    const g = rest.match(/(\d{2,5})x(\d{2,5})\+(\d{1,5})\+(\d{1,5})/);
+    if (status === "connected" && g) { o.w = +g[1]; o.h = +g[2]; o.x = +g[3]; o.y = +g[4]; }
+    outputs[name] = o;
+    order.push(name);
+  }
+  const scr = String(text || "").match(/current\s+(\d+)\s+x\s+(\d+)/);
+  const total = { W: scr ? +scr[1] : NaN, H: scr ? +scr[2] : NaN };
+  return { outputs, order, total };
+}
+
+function readXrandr() { return parseXrandr(runXrandr()); }
+
+function rankOf(name) {
+  const i = CONNECTOR_RANK.findIndex(rx => rx.test(name));
+  return i === -1 ? CONNECTOR_RANK.length : i;
+}
+function byRank(a, b) {
+  return rankOf(a) - rankOf(b) || a.localeCompare(b, "en", { numeric: true });
+}
+
+/* -------- persisted discovery -------- */
+function loadDiscovered() {
+  try {
+    const list = JSON.parse(fs.readFileSync(DISCOVERED_FILE, "utf8"));
+    return Array.isArray(list) ? list.filter(s => s && s.id && s.connector) : [];
+  } catch {
+    return [];
+  }
+}
+function saveDiscovered(list) {
+  try {
+    fs.mkdirSync(path.dirname(DISCOVERED_FILE), { recursive: true });
+    fs.writeFileSync(DISCOVERED_FILE, JSON.stringify(list, null, 2));
+  } catch (e) {
+    console.error("[screens] persist failed:", e.message);
+  }
+}
+
+/**
+ * Merge what xrandr reports into the persisted list. Ids and debug ports are
+ * never reassigned once given out, so unplugging a cable does not renumber
+ * the other screens. New connectors are only added once seen connected.
+ */
+function discover(xr = readXrandr()) {
+  const known = loadDiscovered();
+  if (!xr.order.length) return known; // X not up yet; keep what we had
+
+  const list = known.slice();
+  const has = name => list.some(s => s.connector === name);
+  const nextId = () => String(list.reduce((m, s) => Math.max(m, Number(s.id) || 0), 0) + 1);
+  const nextPort = () => list.reduce((m, s) => Math.max(m, s.debugPort || 0), BASE_DEBUG_PORT - 1) + 1;
+
+  if (!list.length) {
+    LEGACY_CONNECTORS.forEach((name, i) => {
+      if (xr.outputs[name]) list.push({ id: String(i + 1), connector: name, debugPort: BASE_DEBUG_PORT + i });
+    });
+  }
+  const fresh = xr.order
+    .filter(name => xr.outputs[name].status === "connected" && !has(name))
+    .sort(byRank);
+  for (const name of fresh) list.push({ id: nextId(), connector: name, debugPort: nextPort() });
+
+  if (list.length !== known.length) {
+    console.log(`[screens] discovered: ${list.map(s => `${s.id}=${s.connector}:${s.debugPort}`).join(" ")}`);
+    saveDiscovered(list);
+  }
+  return list;
+}
+
+/* -------- public list -------- */
+function finalize(list) {
+  const home = `/home/${config.desktop.user}`;
+  return list.map((s, i) => ({
+    id: String(s.id),
+    connector: s.connector,
+    debugPort: s.debugPort || BASE_DEBUG_PORT + i,
+    profileDir: s.profileDir || `${home}/.config/single-profile-${s.id}`,
+  }));
+}
+
+const LEGACY_DEFAULT = LEGACY_CONNECTORS.map((connector, i) => ({ id: String(i + 1), connector, debugPort: BASE_DEBUG_PORT + i }));
+
+let _screens = null;
+
+/** Re-read xrandr (when discovering) and return the current screen list. */
+function refreshScreens() {
+  if (Array.isArray(config.screens)) {
+    _screens = finalize(config.screens);
+  } else {
+    const found = discover();
+    _screens = finalize(found.length ? found : LEGACY_DEFAULT);
+  }
+  return _screens;
+}
+
+/** Current screen list, in configured or discovery order. */
+function listScreens() {
+  if (!_screens) refreshScreens();
+  return _screens;
+}
+
+function getScreen(id) {
+  return listScreens().find(s => s.id === String(id)) || null;
+}
+
+module.exports = { listScreens, getScreen, refreshScreens, readXrandr, parseXrandr };
@@ -0,0 +1,164 @@
+// screenshot-history.js — periodic per-screen captures kept as a bounded ring on disk (<stateDir>/screenshots)
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { config, statePath } = require("./config");
+
+const CFG = config.screenshotHistory;
+const HISTORY_DIR = statePath("screenshots");
+const STAMP_RE = /^\d{8}T\d{6}Z$/;
+const EXT = { jpeg: "jpg", png: "png", webp: "webp" };
+const MIME_BY_EXT = { jpg: "image/jpeg", png: "image/png", webp: "image/webp" };
+
+// 2026-10-19T04:00:00.123Z -> 20261019T040000Z (sorts by time, safe as a file name)
+function stampFor(date) {
+  return date.toISOString().replace(/\.\d+Z$/, "Z").replace(/[-:]/g, "");
+}
+function dateFromStamp(stamp) {
+  const m = stamp.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return m ? new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6])) : null;
+}
+
+class ScreenshotHistory {
+  /**
+   * @param {object} opts
+   *   capture(id, opts)          screenshot.captureScreenshot (DevTools -> X11 fallback)
+   *   listScreens()              [{ id }]
+   *   isConnected(id)            skip screens without a monitor
+   *   thumbnail(image, opts)     screenshot.encodeImage, used for hub thumbnails
+   *   onCapture(id, item, thumb) called after each capture; thumb is set when pushThumbnails is on
+   */
+  constructor({ capture, listScreens, isConnected, thumbnail, onCapture = () => {}, log = console }) {
+    this.capture = capture;
+    this.listScreens = listScreens;
+    this.isConnected = isConnected;
+    this.thumbnail = thumbnail;
+    this.onCapture = onCapture;
+    this.log = log;
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastErrors = {}; // id -> message
+  }
+
+  start() {
+    if (!CFG.enabled) { this.log.log("[history] disabled by config"); return; }
+    if (this.timer) return;
+    this.log.log(`[history] capturing every ${Math.round(CFG.intervalMs / 60000)} min into ${HISTORY_DIR}`);
+    this.timer = setInterval(() => this.captureAll(), CFG.intervalMs);
+  }
+
+  /** One capture of every connected screen, then prune. */
+  async captureAll() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (const s of this.listScreens()) {
+        if (!this.isConnected(s.id)) continue;
+        try {
+          await this.captureOne(s.id);
+          delete this.lastErrors[s.id];
+        } catch (e) {
+          this.lastErrors[s.id] = e.message;
+          this.log.warn(`[history] screen ${s.id} capture failed: ${e.message}`);
+        }
+      }
+      this.prune();
+      this.lastRunAt = new Date().toISOString();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async captureOne(id) {
+    const at = new Date();
+    const image = await this.capture(id, { format: CFG.format, width: CFG.width === null ? "full" : CFG.width, quality: CFG.quality, crop: null });
+    const ext = Object.keys(MIME_BY_EXT).find(k => MIME_BY_EXT[k] === image.mime) || EXT[CFG.format];
+    const dir = path.join(HISTORY_DIR, String(id));
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${stampFor(at)}.${ext}`);
+    fs.writeFileSync(file, image.buffer);
+    const item = this._item(id, path.basename(file), image.buffer.length);
+
+    let thumb = null;
+    if (CFG.pushThumbnails && this.thumbnail) {
+      try { thumb = await this.thumbnail(image, { format: "webp", width: CFG.thumbnailWidth, quality: 40, crop: null }); }
+      catch (e) { this.log.warn(`[history] thumbnail for screen ${id} failed: ${e.message}`); }
+    }
+    this.onCapture(id, item, thumb);
+    return item;
+  }
+
+  _item(id, name, bytes) {
+    const [stamp, ext] = name.split(".");
+    const at = dateFromStamp(stamp);
+    return { screen: String(id), stamp, at: at && at.toISOString(), mime: MIME_BY_EXT[ext] || "application/octet-stream", bytes, file: name };
+  }
+
+  /** Stored captures for one screen, oldest first. */
+  list(id) {
+    const dir = path.join(HISTORY_DIR, String(id));
+    let names;
+    try { names = fs.readdirSync(dir); } catch { return []; }
+    const out = [];
+    for (const name of names.sort()) {
+      if (!STAMP_RE.test(name.split(".")[0])) continue;
+      try { out.push(this._item(id, name, fs.statSync(path.join(dir, name)).size)); } catch { }
+    }
+    return out;
+  }
+
+  latest(id) {
+    const all = this.list(id);
+    return all.length ? all[all.length - 1] : null;
+  }
+
+  /** { item, path } for one capture ("latest" for the newest), or null. */
+  get(id, stamp) {
+    let item = null;
+    if (stamp === "latest") item = this.latest(id);
+    else if (STAMP_RE.test(stamp)) item = this.list(id).find(i => i.stamp === stamp);
+    return item ? { item, path: path.join(HISTORY_DIR, String(id), item.file) } : null;
+  }
+
+  /** Enforce maxCount per screen and maxBytes overall, oldest first. */
+  prune() {
+    let screens;
+    try { screens = fs.readdirSync(HISTORY_DIR); } catch { return; }
+    const all = [];
+    for (const id of screens) {
+      const items = this.list(id);
+      const extra = items.length - CFG.maxCount;
+      for (const it of items.slice(0, Math.max(0, extra))) this._remove(it);
+      all.push(...items.slice(Math.max(0, extra)));
+    }
+    all.sort((a, b) => (a.stamp < b.stamp ? -1 : a.stamp > b.stamp ? 1 : 0));
+    let total = all.reduce((n, it) => n + it.bytes, 0);
+    while (total > CFG.maxBytes && all.length) {
+      const it = all.shift();
+      this._remove(it);
+      total -= it.bytes;
+    }
+  }
+
+  _remove(item) {
+    try { fs.unlinkSync(path.join(HISTORY_DIR, item.screen, item.file)); }
+    catch (e) { this.log.warn(`[history] cannot remove ${item.screen}/${item.file}: ${e.message}`); }
+  }
+
+  /** Per-screen counts for /diagnostic. */
+  status() {
+    const screens = {};
+    let bytes = 0;
+    for (const s of this.listScreens()) {
+      const items = this.list(s.id);
+      const size = items.reduce((n, it) => n + it.bytes, 0);
+      bytes += size;
+      screens[s.id] = { count: items.length, bytes: size, latest: items.length ? items[items.length - 1].at : null, lastError: this.lastErrors[s.id] || null };
+    }
+    return { enabled: CFG.enabled, intervalMs: CFG.intervalMs, lastRunAt: this.lastRunAt, bytes, maxBytes: CFG.maxBytes, screens };
+  }
+}
+
+module.exports = { ScreenshotHistory, HISTORY_DIR };
@@ -1,19 +1,19 @@
-// screenshot.js — port-true screenshots: HDMI-1 -> screen 1, HDMI-2 -> screen 2
+// screenshot.js — port-true screenshots: screen id -> its connector and DevTools port (screens.js)
+//                 plus output options (format / width / quality / crop) and a stitched all-screens view
 "use strict";
 
 const fs = require("fs");
-const http = require("http");
-const WebSocket = require("ws");
 const { execSync } = require("child_process");
+const { config } = require("./config");
+const { listScreens, getScreen, readXrandr } = require("./screens");
+const { savedUrlFor } = require("./url-state");
+const { getSession } = require("./cdp");
 
-const DEFAULT_DISPLAY = ":0";
-const DEFAULT_XAUTH   = "/home/admin/.Xauthority";
-const STATE_FILE      = "/home/admin/kiosk/urls.json";
-const SCALE_DIVISOR   = 2;
-
-// fixed port mapping by physical output
-const PORT_FOR = { "1": 9222, "2": 9223 };
-const OUT_FOR  = { "1": "HDMI-1", "2": "HDMI-2" };
+const DEFAULT_DISPLAY = config.desktop.display;
+const DEFAULT_XAUTH   = config.desktop.xauthority;
+const SCALE_DIVISOR   = 2;           // default output width is half the native width
+const FORMATS = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp" };
+const FFMPEG_EXT = { jpeg: "jpg", png: "png", webp: "webp" };
 
 /* -------- exec helpers -------- */
 function run(cmd, opts = {}) {
@@ -26,24 +26,20 @@ function safeUnlink(p){ try{ fs.unlinkSync(p); } catch{} }
 
 /* -------- layout / connection helpers -------- */
 function getOutputs() {
-  const out = run("xrandr --query");
+  const xr = readXrandr();
   const con = {};
-  // quick status for HDMI-1/HDMI-2
-  for (const id of ["1","2"]) {
-    const name = OUT_FOR[id];
-    const re = new RegExp(`^${name}\\s+(connected|disconnected)`, "m");
-    const m = out.match(re);
-    con[id] = !!(m && m[1] === "connected");
+  // quick status per screen
+  for (const s of listScreens()) {
+    const o = xr.outputs[s.connector];
+    con[s.id] = !!(o && o.status === "connected");
   }
   // geometry map per *name*
-  const rx = /^(HDMI-\d)\s+connected.*?(\d+)x(\d+)\+(\d+)\+(\d+)/gm;
-  let m; const headsByName = {};
-  while ((m = rx.exec(out)) !== null) {
-    headsByName[m[1]] = { name:m[1], w:+m[2], h:+m[3], x:+m[4], y:+m[5] };
+  const headsByName = {};
+  for (const o of Object.values(xr.outputs)) {
+    if (Number.isFinite(o.w)) headsByName[o.name] = { name:o.name, w:o.w, h:o.h, x:o.x, y:o.y };
   }
   // total size (best-effort)
-  const scr = out.match(/current\s+(\d+)\s+x\s+(\d+)/);
-  const total = { W: scr ? +scr[1] : NaN, H: scr ? +scr[2] : NaN };
+  const total = { ...xr.total };
   if (!Number.isFinite(total.W) || !Number.isFinite(total.H)) {
     const heads = Object.values(headsByName);
     if (heads.length) {
@@ -59,144 +55,215 @@ function getOutputs() {
   return { connected: con, headsByName, total };
 }
 function geomForId(id, headsByName) {
-  const name = OUT_FOR[id];
-  return headsByName[name] || null; // null if that physical output isn’t active
+  const scr = getScreen(id);
+  return (scr && headsByName[scr.connector]) || null; // null if that physical output isn’t active
 }
 
-/* -------- expected URL helpers (unchanged) -------- */
-function loadState(){ try { return JSON.parse(fs.readFileSync(STATE_FILE,"utf8")); } catch { return { hdmi1:null, hdmi2:null }; } }
-function expectedFor(id){ const s=loadState(); return id==="1"? s.hdmi1 : id==="2" ? s.hdmi2 : null; }
+/* -------- expected URL helpers -------- */
+// what the screen should be showing; server.js points this at effectiveUrl (schedule > playlist > saved)
+let expectedFor = id => savedUrlFor(id);
+function setExpectedUrlSource(fn){ expectedFor = fn; }
 function normalizeUrl(u){ if(!u) return ""; try { return new URL(u).href; } catch { return String(u); } }
 
-/* -------- DevTools helpers -------- */
-function fetchJson(port){
-  return new Promise((res,rej)=>{
-    http.get({host:"127.0.0.1", port, path:"/json"}, r=>{
-      let d=""; r.on("data",c=>d+=c); r.on("end",()=>{ try{ res(JSON.parse(d)); }catch(e){ rej(e);} });
-    }).on("error",rej);
-  });
-}
-
 /* -------- DevTools capture bound to fixed port -------- */
-async function captureViaDevtoolsTruth(screenId, quality){
+async function captureViaDevtoolsTruth(screenId, srcFormat = "jpeg", { viewportOnly = false } = {}){
+  const scr = getScreen(screenId);
+  if (!scr) throw new Error(`unknown screen ${screenId}`);
   const { connected } = getOutputs();
-  if (screenId === "1" && !connected["1"]) throw new Error("screen 1 not connected");
-  if (screenId === "2" && !connected["2"]) throw new Error("screen 2 not connected");
-
-  const port = PORT_FOR[screenId];
-  const list = await fetchJson(port);
-  const page = list.find(t=>t.type==="page");
-  if (!page) throw new Error("no page target");
-
-  const ws = new WebSocket(page.webSocketDebuggerUrl);
-  let id=0; const pending=new Map();
-  function send(method, params){
-    return new Promise((resolve,reject)=>{
-      const i=++id; pending.set(i,{resolve,reject});
-      ws.send(JSON.stringify({id:i,method,params}));
-    });
-  }
-  await new Promise((resolve,reject)=>{
-    const t=setTimeout(()=>reject(new Error("ws open timeout")),3000);
-    ws.once("open",()=>{ clearTimeout(t); resolve(); });
-    ws.once("error",reject);
-  });
-  ws.on("message",(raw)=>{
-    try{
-      const msg=JSON.parse(raw);
-      if (msg.id && pending.has(msg.id)) { pending.get(msg.id).resolve(msg.result); pending.delete(msg.id); }
-    }catch{}
-  });
-
-  await send("Page.enable");
-  await send("Runtime.enable");
-  await send("Emulation.setDefaultBackgroundColorOverride",{ color:{r:255,g:255,b:255,a:255} });
+  if (!connected[scr.id]) throw new Error(`screen ${scr.id} not connected`);
 
-  const urlR = await send("Runtime.evaluate",{ expression:"location.href", returnByValue:true });
-  const cur  = normalizeUrl(urlR?.result?.value || "");
-  const exp  = normalizeUrl(expectedFor(screenId) || "");
+  const port = scr.debugPort;
+  const session = getSession(scr.id);
+  const send = (method, params) => session.send(method, params, { timeoutMs: 20000 });
 
-  if (exp && cur !== exp) { ws.close(); throw new Error(`url mismatch: expected ${exp} but at ${cur}`); }
-  if (!cur || cur==="about:blank" || cur.startsWith("chrome-error://")) { ws.close(); throw new Error(`bad url: ${cur || "empty"}`); }
+  // the session is shared with the watchdog, logs and page control: undo the override whatever happens
+  await send("Emulation.setDefaultBackgroundColorOverride",{ color:{r:255,g:255,b:255,a:255} });
+  try {
+    const urlR = await send("Runtime.evaluate",{ expression:"location.href", returnByValue:true });
+    const cur  = normalizeUrl(urlR?.result?.value || "");
+    const exp  = normalizeUrl(expectedFor(screenId) || "");
 
-  const cap = await send("Page.captureScreenshot", {
-    format:"jpeg", quality: Math.max(1, Math.min(100, quality)), fromSurface:true, captureBeyondViewport:true
-  });
-  ws.close();
-  const buf = Buffer.from(cap.data, "base64");
-  console.info(`[capture] method=devtools_truth port=${port} url=${cur}`);
-  return await scaleMemoryToJpeg(buf, quality);
+    if (exp && cur !== exp) throw new Error(`url mismatch: expected ${exp} but at ${cur}`);
+    if (!cur || cur==="about:blank" || cur.startsWith("chrome-error://")) throw new Error(`bad url: ${cur || "empty"}`);
+
+    // png or near-lossless jpeg source; the requested format/quality is applied once in encodeImage()
+    const beyond = !viewportOnly;
+    const cap = await send("Page.captureScreenshot", srcFormat === "png"
+      ? { format:"png", fromSurface:true, captureBeyondViewport:beyond }
+      : { format:"jpeg", quality: 95, fromSurface:true, captureBeyondViewport:beyond });
+    const buf = Buffer.from(cap.data, "base64");
+    console.info(`[capture] method=devtools_truth port=${port} url=${cur}`);
+    return { mime: srcFormat === "png" ? "image/png" : "image/jpeg", buffer: buf };
+  } finally {
+    // no color = back to the page's own background
+    await send("Emulation.setDefaultBackgroundColorOverride", {})
+      .catch(e => console.warn(`[capture] screen ${scr.id}: background override not cleared: ${e.message || e}`));
+  }
 }
 
 /* -------- X11 full-desktop + crop by output name -------- */
-async function captureViaX11FullCrop(screenId, quality){
+function x11Grab(region, tag){
   if (!have("ffmpeg")) throw new Error("ffmpeg not available");
-  const { total, headsByName, connected } = getOutputs();
-  if (screenId === "1" && !connected["1"]) throw new Error("screen 1 not connected");
-  if (screenId === "2" && !connected["2"]) throw new Error("screen 2 not connected");
-
-  const g = geomForId(screenId, headsByName);
-  if (!g) throw new Error(`screen ${screenId} not connected`);
-
+  const { total } = getOutputs();
   const W = total.W, H = total.H;
   const display = (process.env.DISPLAY || DEFAULT_DISPLAY).includes(".")
     ? (process.env.DISPLAY || DEFAULT_DISPLAY)
     : (process.env.DISPLAY || DEFAULT_DISPLAY) + ".0";
 
-  const tmpPng = `/tmp/screen${screenId}-${Date.now()}.png`;
-  const vf = `crop=${g.w}:${g.h}:${g.x}:${g.y}`;
+  const tmpPng = `/tmp/${tag}-${Date.now()}.png`;
+  const vf = `crop=${region.w}:${region.h}:${region.x}:${region.y}`;
   const cmd = `ffmpeg -hide_banner -loglevel error -nostdin -f x11grab -draw_mouse 0 `
             + `-video_size ${W}x${H} -i ${display}+0,0 -frames:v 1 -vf "${vf}" -y ${tmpPng}`;
-  console.info(`[capture] method=x11_full+crop display=${display} total=${W}x${H} region=${g.w}x${g.h}+${g.x}+${g.y}`);
+  console.info(`[capture] method=x11_full+crop display=${display} total=${W}x${H} region=${region.w}x${region.h}+${region.x}+${region.y}`);
   run(cmd);
   if (!fs.existsSync(tmpPng)) throw new Error("x11grab failed");
-  return await compressFile(tmpPng, quality);
+  const buffer = fs.readFileSync(tmpPng);
+  safeUnlink(tmpPng);
+  return { mime:"image/png", buffer };
 }
 
-/* -------- public API -------- */
-async function captureScreenshot(id, quality = 70){
-  try { return await captureViaDevtoolsTruth(id, quality); }
+async function captureViaX11FullCrop(screenId){
+  const { headsByName, connected } = getOutputs();
+  if (!connected[screenId]) throw new Error(`screen ${screenId} not connected`);
+  const g = geomForId(screenId, headsByName);
+  if (!g) throw new Error(`screen ${screenId} not connected`);
+  return x11Grab(g, `screen${screenId}`);
+}
+
+/** Native-resolution capture of one screen: { mime, buffer } (srcFormat "png" keeps small text sharp) */
+async function captureRaw(id, srcFormat, devtoolsOpts){
+  try { return await captureViaDevtoolsTruth(id, srcFormat, devtoolsOpts); }
   catch (e) { console.warn(`[capture] devtools path failed: ${e.message || e}`); }
-  try { return await captureViaX11FullCrop(id, quality); }
+  try { return await captureViaX11FullCrop(id); }
   catch (e) { console.warn(`[capture] x11 fallback failed: ${e.message || e}`); }
   throw new Error("screenshot failed: all methods exhausted");
 }
 
-/* -------- scaling/compression (unchanged) -------- */
+/* -------- options -------- */
+function badRequest(msg){ return Object.assign(new Error(msg), { status: 400 }); }
+
+/**
+ * Parse ?format=&width=&quality=&crop= into capture options. Returns { opts } or { error }.
+ *   format   jpeg (default) | png | webp
+ *   width    pixels, or "full" for native resolution (default: half of native)
+ *   quality  1..100 for jpeg/webp (default 30)
+ *   crop     x,y,w,h in native pixels, applied before scaling
+ */
+function parseScreenshotOptions(q = {}){
+  const format = String(q.format || "jpeg").toLowerCase().replace(/^jpg$/, "jpeg");
+  if (!FORMATS[format]) return { error: `format must be one of ${Object.keys(FORMATS).join(", ")}` };
+
+  let width = "half";
+  if (q.width === "full" || q.full === "1" || q.full === "true") width = "full";
+  else if (typeof q.width !== "undefined") {
+    width = Number(q.width);
+    if (!Number.isInteger(width) || width < 16 || width > 8192) return { error: "width must be an integer 16..8192 or full" };
+  }
+
+  const quality = typeof q.quality === "undefined" ? 30 : Number(q.quality);
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) return { error: "quality must be an integer 1..100" };
+
+  let crop = null;
+  if (typeof q.crop !== "undefined") {
+    const m = String(q.crop).match(/^(\d+),(\d+),(\d+),(\d+)$/);
+    if (!m || !+m[3] || !+m[4]) return { error: "crop must be x,y,w,h (pixels, w and h > 0)" };
+    crop = { x: +m[1], y: +m[2], w: +m[3], h: +m[4] };
+  }
+  return { opts: { format, width, quality, crop } };
+}
+
+function targetWidth(width, nativeW){
+  if (width === "full") return nativeW;
+  if (width === "half") return Math.max(1, Math.round(nativeW / SCALE_DIVISOR));
+  return Math.min(width, nativeW); // never upscale
+}
+
+/* -------- public API -------- */
+/** opts as parseScreenshotOptions, plus viewportOnly (what is on the glass, not the whole page) */
+async function captureScreenshot(id, opts = {}){
+  const o = { format: "jpeg", width: "half", quality: 70, crop: null, viewportOnly: false, ...opts };
+  return await encodeImage(await captureRaw(id, o.format === "png" ? "png" : "jpeg", { viewportOnly: o.viewportOnly }), o);
+}
+
+/** All connected screens composed at their xrandr positions (gaps stay black). */
+async function captureAllScreens(opts = {}){
+  const o = { format: "jpeg", width: "half", quality: 70, crop: null, ...opts };
+  const { headsByName, connected } = getOutputs();
+  const placed = listScreens()
+    .filter(s => connected[s.id] && headsByName[s.connector])
+    .map(s => ({ id: s.id, g: headsByName[s.connector] }));
+  if (!placed.length) throw new Error("no connected screens");
+
+  const minX = Math.min(...placed.map(p => p.g.x)), minY = Math.min(...placed.map(p => p.g.y));
+  const W = Math.max(...placed.map(p => p.g.x + p.g.w)) - minX;
+  const H = Math.max(...placed.map(p => p.g.y + p.g.h)) - minY;
+
+  const sharp = tryLoadSharp();
+  if (!sharp) return await encodeImage(x11Grab({ x: minX, y: minY, w: W, h: H }, "screens-all"), o);
+
+  const layers = [];
+  for (const { id, g } of placed) {
+    try {
+      const raw = await captureRaw(id, o.format === "png" ? "png" : "jpeg");
+      // DevTools may return more than the viewport (captureBeyondViewport); keep the visible top
+      const input = await sharp(raw.buffer).resize({ width: g.w, height: g.h, fit: "cover", position: "top" }).toBuffer();
+      layers.push({ input, left: g.x - minX, top: g.y - minY });
+    } catch (e) { console.warn(`[capture] all: screen ${id} skipped: ${e.message || e}`); }
+  }
+  if (!layers.length) throw new Error("screenshot failed: no screen could be captured");
+
+  const canvas = await sharp({ create: { width: W, height: H, channels: 3, background: { r: 0, g: 0, b: 0 } } })
+    .composite(layers).png({ compressionLevel: 0 }).toBuffer();
+  console.info(`[capture] method=stitched screens=${layers.length} size=${W}x${H}`);
+  return await encodeImage({ mime: "image/png", buffer: canvas }, o);
+}
+
+/* -------- scaling/compression -------- */
 let _sharpTried=false, _sharp=null;
 function tryLoadSharp(){ if(_sharpTried) return _sharp; _sharpTried=true; try{ _sharp=require("sharp"); }catch(e){ console.warn("[compress] sharp not available:", e.message); _sharp=null; } return _sharp; }
 function mapJpegQualityToFfmpegQ(q){ const v=Math.round(31 - Math.max(1,Math.min(100,q))*(29/100)); return Math.max(2,Math.min(31,v)); }
 
-async function scaleMemoryToJpeg(buf, quality){
-  const tmp = `/tmp/devtools-${Date.now()}.jpg`;
-  fs.writeFileSync(tmp, buf);
-  try { return await compressFile(tmp, quality, true); }
-  finally { safeUnlink(tmp); }
-}
-async function compressFile(inputPath, quality, isJpgInput=false){
+/** raw { mime, buffer } -> { mime, buffer } in opts.format, cropped and scaled */
+async function encodeImage(raw, opts){
+  const { format, width, quality, crop } = opts;
   const sharp = tryLoadSharp();
   if (sharp) {
-    try {
-      const img=sharp(inputPath);
-      const meta=await img.metadata();
-      const targetW=Math.max(1, Math.round((meta.width||1)/SCALE_DIVISOR));
-      const out=await img.resize({width:targetW}).jpeg({quality}).toBuffer();
-      safeUnlink(inputPath);
-      return { mime:"image/jpeg", buffer: out };
-    } catch(e){ console.warn("[compress] sharp failed; using ffmpeg:", e.message); }
+    let meta;
+    try { meta = await sharp(raw.buffer).metadata(); }
+    catch(e){ console.warn("[compress] sharp failed; using ffmpeg:", e.message); }
+    if (meta) {
+      if (crop && (crop.x + crop.w > meta.width || crop.y + crop.h > meta.height)) {
+        throw badRequest(`crop ${crop.x},${crop.y},${crop.w},${crop.h} is outside the ${meta.width}x${meta.height} image`);
+      }
+      let img = sharp(raw.buffer);
+      if (crop) img = img.extract({ left: crop.x, top: crop.y, width: crop.w, height: crop.h });
+      const srcW = crop ? crop.w : meta.width;
+      const targetW = targetWidth(width, srcW);
+      if (targetW !== srcW) img = img.resize({ width: targetW });
+      if (format === "png") img = img.png();
+      else if (format === "webp") img = img.webp({ quality });
+      else img = img.jpeg({ quality });
+      return { mime: FORMATS[format], buffer: await img.toBuffer() };
+    }
   }
   if (have("ffmpeg")) {
-    const q=mapJpegQualityToFfmpegQ(quality);
-    const jpgPath=isJpgInput? inputPath : inputPath.replace(/\.\w+$/i,".jpg");
-    const vf=`scale=iw/${SCALE_DIVISOR}:-1`;
-    run(`ffmpeg -hide_banner -loglevel error -nostdin -y -i ${inputPath} -vf "${vf}" -q:v ${q} ${jpgPath}`);
-    const out=fs.readFileSync(jpgPath);
-    safeUnlink(jpgPath); safeUnlink(inputPath);
-    return { mime:"image/jpeg", buffer: out };
+    const stamp = `${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+    const inPath = `/tmp/capture-in-${stamp}`;
+    const outPath = `/tmp/capture-out-${stamp}.${FFMPEG_EXT[format]}`;
+    fs.writeFileSync(inPath, raw.buffer);
+    const vf = [];
+    if (crop) vf.push(`crop=${crop.w}:${crop.h}:${crop.x}:${crop.y}`);
+    if (width === "half") vf.push(`scale=iw/${SCALE_DIVISOR}:-2`);
+    else if (width !== "full") vf.push(`scale='min(${width},iw)':-2`);
+    const q = format === "jpeg" ? `-q:v ${mapJpegQualityToFfmpegQ(quality)}` : format === "webp" ? `-quality ${quality}` : "";
+    try {
+      run(`ffmpeg -hide_banner -loglevel error -nostdin -y -i ${inPath} ${vf.length ? `-vf "${vf.join(",")}"` : ""} ${q} ${outPath}`);
+      if (fs.existsSync(outPath)) return { mime: FORMATS[format], buffer: fs.readFileSync(outPath) };
+    } finally { safeUnlink(inPath); safeUnlink(outPath); }
+    if (crop) throw badRequest("crop failed (outside the image?)");
   }
-  const out=fs.readFileSync(inputPath);
-  safeUnlink(inputPath);
-  return { mime: isJpgInput? "image/jpeg" : "image/png", buffer: out };
+  console.warn("[compress] no encoder available; returning the capture as-is");
+  return raw;
 }
 
-module.exports = { captureScreenshot };
+module.exports = { captureScreenshot, captureAllScreens, parseScreenshotOptions, encodeImage, getOutputs, setExpectedUrlSource };
@@ -1,31 +1,53 @@
 /* server.js - BETSA kiosk helper with EJS diagnostics UI & auto-reconnecting DevTools */
 /* eslint-disable no-console */
 "use strict";
+const { config, statePath, describeConfig, logConfig } = require("./config");
+logConfig();
 const upgrade = require("./upgrade");
 upgrade.runMigrations();
 const APP_VERSION = upgrade.getVersion();
 
-const ANNOUNCE_INTERVAL = 10 * 60 * 1000;   // 10 minutes drift-based
+const ANNOUNCE_INTERVAL = config.announceIntervalMs;   // drift-based
 const express = require("express");
 const fs = require("fs");
 const { execSync, spawn } = require("child_process");
 const os = require("os");
 const path = require("path");
-const http = require("http");
 const rebootGuard = require("./reboot-guard");
-const WebSocket = require("ws");
+const { requireAuth, requireAdmin, authStatus, captureRawBody } = require("./auth");
+const { recordAudit } = require("./audit");
+const { evaluateOnScreen, queryDom, parseEvaluateOptions, parseDomOptions } = require("./inspect");
 const fetch = (...a) => import("node-fetch").then(({ default: f }) => f(...a));
-const { captureScreenshot } = require("./screenshot");
-const { getLatestPatch } = require("./patch-info");
+const { captureScreenshot, captureAllScreens, parseScreenshotOptions, encodeImage, setExpectedUrlSource } = require("./screenshot");
+const { ScreenshotHistory } = require("./screenshot-history");
+const { FrameAnalyzer } = require("./frame-analyzer");
+const { recordClip, parseRecordOptions, recordingStatus } = require("./recorder");
+const { initConsoleLogs, LEVELS: CONSOLE_LEVELS } = require("./console-log");
+const { initNetworkLogs } = require("./network-log");
+const { initMetrics } = require("./metrics");
+const { initPerfMonitor } = require("./perf");
+const { processTreeRssBytes } = require("./host-stats");
+const { checkHostHealth } = require("./host-health");
+const { initMaintenance } = require("./maintenance");
+const { getLatestPatch, getPatchHistory, PATCH_HISTORY_FILE } = require("./patch-info");
 const autopatch = require("./auto-patch");
 const { initScreenControllers } = require("./screen-map");
+const { getSession, sessionStatus } = require("./cdp");
+const { listScreens, getScreen, readXrandr } = require("./screens");
+const { loadState, saveState, publicUrls, screenIdFromKey } = require("./url-state");
+const { PlaylistEngine, normalizePlaylist } = require("./playlists");
+const { ScheduleEngine, normalizeSchedule } = require("./schedule");
+const { initWatchdogs } = require("./watchdog");
+const { initHubChannel } = require("./hub-channel");
+const { Outbox } = require("./outbox");
 const { HdmiBrowserSupervisor, stopBrowsersServiceNow } = require("./hdmiBrowsersHelper");
-const PORT = 8080;
-const STATE_FILE = "/home/admin/kiosk/urls.json";
-const POINTER_FILE = "/home/admin/kiosk/pointer.json";
-const SCREEN_PORT = { "1": 9222, "2": 9223 };
-const HUB = "http://10.1.220.219:7070";
-const URLS_TS_FILE = "/home/admin/kiosk/urls.changed.json";
+const PORT = config.port;
+const POINTER_FILE = statePath("pointer.json");
+const HUB = config.hub;
+const URLS_TS_FILE = statePath("urls.changed.json");
+const TZ = config.timezone;
+const X_ENV = { DISPLAY: config.desktop.display, XAUTHORITY: config.desktop.xauthority };
+const DESKTOP_USER = config.desktop.user;
 
 /* urls-last-changed helpers */
 function loadUrlsChangedTs() {
@@ -75,23 +97,36 @@ function currentMac() {
 
 /* ---------------------------------------------------------------------- */
 /* announce helpers */
-function postToHub(path, payload, delay = 2000) {
+const hubPostCounts = {}; // path -> { ok, failed } for /metrics
+function countHubPost(path, ok) {
+  const c = hubPostCounts[path] || (hubPostCounts[path] = { ok: 0, failed: 0 });
+  c[ok ? "ok" : "failed"]++;
+}
+
+function deliverToHub(path, payload) {
   const jitter = Math.floor(Math.random() * 400); // spread load
-  fetchWithTimeout(`${HUB}${path}`, {
+  return fetchWithTimeout(`${HUB}${path}`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(payload)
   }, 10000 + jitter)
     .then(res => {
-      if (!res.ok) throw new Error(`hub responded ${res.status}`);
+      if (!res.ok) throw Object.assign(new Error(`hub responded ${res.status}`), { status: res.status });
       console.log(`[hub] POST ${path} ok`);
-    })
-    .catch(err => {
-      console.error(`[hub] POST ${path} failed: ${err.message}`);
-      setTimeout(() => postToHub(path, payload, Math.min(delay * 2, 60000)), delay + jitter);
+      countHubPost(path, true);
+    }, err => {
+      countHubPost(path, false);
+      throw err;
     });
 }
 
+// Durable and coalesced: only the newest payload per key survives an outage or restart.
+const outbox = new Outbox({ send: deliverToHub, log: console });
+
+function postToHub(path, payload, key = path) {
+  outbox.enqueue(path, payload, key);
+}
+
 function announceMouse(hidden) {
   const mac = currentMac();
   postToHub("/device/mouse", { mac, mouse: { hidden } });
@@ -99,148 +134,195 @@ function announceMouse(hidden) {
 
 function announceSelf() {
   const mac = currentMac();
+  const diag = getDiagnostics();
   postToHub("/device", {
     mac,
-    urls: loadState(),
+    urls: publicUrls(),
     mouse: loadPointerState(),
-    diag: getDiagnostics()
+    health: diag.hostHealth.grade, // ok | warn | critical, for filtering on the hub
+    diag
   });
 }
 
 function announceUrls(urls) {
   const mac = currentMac();
-  postToHub("/device/urls", { mac, urls });
+  postToHub("/device/urls", { mac, urls: publicUrls(urls) });
 }
 
 /* ---------------------------------------------------------------------- */
-/* DevTools auto-reconnect */
-function fetchJson(port) {
-  return new Promise((res, rej) => {
-    http.get({ host: "127.0.0.1", port, path: "/json" }, r => {
-      let data = "";
-      r.on("data", c => (data += c));
-      r.on("end", () => { try { res(JSON.parse(data)); } catch (e) { rej(e); } });
-    }).on("error", rej);
-  });
-}
-
+/* DevTools: navigate / reload over the shared per-screen CDP session (cdp.js) */
 class DevToolsController {
   constructor(screenId, port) {
     this.screenId = screenId;
     this.port = port;
-    this.ws = null;
-    this.timer = null;
     this.desired = null;
-    this.error = false;
-    this.backoff = 2000;
-    this.connect();
+    this.session = getSession(screenId, port);
+    // a restarted browser comes back on its start page: send it where it should be
+    this.session.on("connected", () => { if (this.desired) this.send(this.desired); });
+    this.session.keepAlive();
   }
   navigate(url) {
     this.desired = url;
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) this.send(url);
-    else this.ensure();
-  }
-  async connect() {
-    try {
-      const list = await fetchJson(this.port);
-      const page = list.find(t => t.type === "page");
-      if (!page) throw new Error('no "page" target');
-      this.ws = new WebSocket(page.webSocketDebuggerUrl);
-      this.ws.on("open", () => {
-        console.log(`[ws] screen ${this.screenId} connected`);
-        this.error = false; this.backoff = 2000;
-        if (this.desired) this.send(this.desired);
-      });
-      this.ws.on("close", () => {
-        if (!this.error) console.warn(`[ws] screen ${this.screenId} closed`);
-        this.error = true; this.ws = null; this.schedule();
-      });
-      this.ws.on("error", e => {
-        if (!this.error) console.warn(`[ws] screen ${this.screenId} error: ${e.message}`);
-        this.error = true; this.ws.close();
-      });
-    } catch (e) {
-      if (!this.error) console.warn(`[ws] screen ${this.screenId} connect failed: ${e.message}`);
-      this.error = true; this.schedule();
-    }
+    if (this.session.connected) this.send(url);
+    else this.session.keepAlive();
   }
   send(url) {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
-    this.ws.send(JSON.stringify({ id: 1, method: "Page.navigate", params: { url } }));
-    console.log(`[redirect] screen ${this.screenId} (${this.port}) -> ${url}`);
+    this.session.send("Page.navigate", { url })
+      .then(r => {
+        if (r.errorText) console.warn(`[redirect] screen ${this.screenId} (${this.port}) -> ${url} failed: ${r.errorText}`);
+        else console.log(`[redirect] screen ${this.screenId} (${this.port}) -> ${url}`);
+      })
+      .catch(e => console.warn(`[redirect] screen ${this.screenId} (${this.port}) -> ${url} not sent: ${e.message}`));
   }
-  ensure() { if (!this.ws && !this.timer) this.schedule(0); }
-  schedule(d = this.backoff) {
-    if (this.timer) return;
-    this.timer = setTimeout(() => { this.timer = null; this.connect(); }, d);
-    this.backoff = Math.min(this.backoff * 2, 60000);
+  reload() {
+    if (!this.session.connected) return;
+    this.session.send("Page.reload", { ignoreCache: false })
+      .then(() => console.log(`[reload] screen ${this.screenId} (${this.port})`))
+      .catch(e => console.warn(`[reload] screen ${this.screenId} failed: ${e.message}`));
   }
 }
-// Build controllers so "1" always means left screen and "2" right screen.
-// Falls back to 9222/9223 if detection is not possible.
-const { redirectBrowser, getCurrentPorts } = initScreenControllers({
+// One controller per screen in screens.js ("1" = HDMI-1 on legacy boxes).
+const { redirectBrowser, reloadBrowser } = initScreenControllers({
   DevToolsController,
   loadState,
-  env: { DISPLAY: process.env.DISPLAY || ":0", XAUTHORITY: process.env.XAUTHORITY || "/home/admin/.Xauthority" },
+  env: X_ENV,
   log: console,
   pollMs: 5000,
 });
 
-/* ---------------------------------------------------------------------- */
-/* state helpers */
-function loadState() {
-  try { return JSON.parse(fs.readFileSync(STATE_FILE, "utf8")); }
-  catch { return { hdmi1: null, hdmi2: null }; }
+// Content precedence per screen: active schedule rule > playlist > saved URL.
+const playlists = new PlaylistEngine({ redirectBrowser, reloadBrowser, log: console });
+const schedule = new ScheduleEngine({
+  listScreenIds: () => listScreens().map(s => s.id),
+  apply: (id, url, { initial }) => {
+    playlists.hold(id);
+    if (!initial) redirectBrowser(id, url);
+  },
+  release: id => { if (!playlists.release(id)) showSavedUrl(id); },
+  tz: TZ,
+  log: console,
+});
+
+function effectiveUrl(id) {
+  return schedule.currentUrl(id) || playlists.currentUrl(id) || loadState()[id] || null;
 }
-function saveState(s) {
-  try {
-    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
-    fs.writeFileSync(STATE_FILE, JSON.stringify(s, null, 2));
-  } catch (e) { console.error("Could not write state:", e); }
+setExpectedUrlSource(effectiveUrl); // DevTools screenshots check the page against this
+const supervisor = new HdmiBrowserSupervisor(); // user, display and profiles come from config
+
+function isScreenConnected(id) {
+  const scr = getScreen(id);
+  const o = scr && readXrandr().outputs[scr.connector];
+  return !!(o && o.status === "connected");
 }
- // --- HDMI status helpers (port-true by connector name) ---
-function _runXR(cmd) {
-  try {
-    const env = {
-      ...process.env,
-      DISPLAY: process.env.DISPLAY || ":0",
-      XAUTHORITY: process.env.XAUTHORITY || "/home/admin/.Xauthority",
-    };
-    return execSync(cmd, { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"], env }).toString();
-  } catch {
-    return "";
-  }
+
+// Page health: reload -> re-navigate -> relaunch that screen's Chromium.
+const watchdogs = initWatchdogs({
+  listScreens,
+  isConnected: isScreenConnected,
+  renavigate: id => { const url = effectiveUrl(id); if (url) redirectBrowser(id, url); },
+  relaunch: id => supervisor.restartBrowser(id),
+  onIncident: (type, incident) => postToHub("/device/incident", { mac: currentMac(), type, incident }, `incident:${incident.id}`),
+  log: console,
+});
+
+// Outbound command channel: works behind NAT, commands replay through the routes below.
+const hubChannel = initHubChannel({
+  identity: () => {
+    const primary = detectPrimaryIPv4();
+    return { mac: currentMac(), ip: primary && primary.ip, hostname: os.hostname(), version: APP_VERSION };
+  },
+  log: console,
+});
+
+// What each screen showed over the last hours/days; thumbnails optionally go to the hub.
+const history = new ScreenshotHistory({
+  capture: captureScreenshot,
+  listScreens,
+  isConnected: isScreenConnected,
+  thumbnail: encodeImage,
+  onCapture: (id, item, thumb) => {
+    if (!thumb) return;
+    postToHub("/device/thumbnail", {
+      mac: currentMac(), screen: id, at: item.at, mime: thumb.mime, data: thumb.buffer.toString("base64")
+    }, `thumbnail:${id}`);
+  },
+  log: console,
+});
+
+// Frozen / blank content that CDP cannot see (stalled video or canvas, black page).
+const frames = new FrameAnalyzer({
+  capture: captureScreenshot,
+  listScreens,
+  isConnected: isScreenConnected,
+  onChange: () => announceSelf(),
+  log: console,
+});
+
+// Console output survives without anyone watching; error bursts go to the hub.
+const consoleLogs = initConsoleLogs({
+  listScreens,
+  onBurst: (id, summary) => postToHub("/device/console-errors", { mac: currentMac(), screen: id, ...summary }, `console-burst:${id}`),
+  log: console,
+});
+
+const networkLogs = initNetworkLogs({ listScreens, version: APP_VERSION, log: console });
+
+// Leaky pages: reload on heap / DOM growth, restart the browser on RSS growth.
+const perf = initPerfMonitor({
+  listScreens,
+  isConnected: isScreenConnected,
+  browserPid: id => supervisor.pidFor(id),
+  rssOf: processTreeRssBytes,
+  restart: id => supervisor.restartBrowser(id),
+  onAction: (id, action) => postToHub("/device/perf-action", { mac: currentMac(), screen: id, ...action }, `perf:${id}`),
+  log: console,
+});
+
+// Policy reboots (weekly / max uptime) inside the maintenance window, through the reboot guard.
+const maintenance = initMaintenance({
+  ip: () => { const p = detectPrimaryIPv4(); return p && p.ip; },
+  staggerMinute: autopatch.computeStaggerMinuteFromIP,
+  isPatching: autopatch.isBusy,
+  busyState: rebootGuard.detectBusyDetailed,
+  reboot: rebootGuard.scheduleRebootNow,
+  onReboot: info => postToHub("/device/maintenance-reboot", { mac: currentMac(), ...info }),
+  log: console,
+});
+
+// Patches whose manifest signature or sha256 does not verify are never run; tell the hub.
+autopatch.setRefusalHandler(refused => postToHub("/device/patch-refused", { mac: currentMac(), ...refused }, `patch-refused:${refused.patch}`));
+
+const metrics = initMetrics({
+  version: () => upgrade.getVersion(),
+  patch: getLatestPatch,
+  displays: getDisplayStatus,
+  cdp: sessionStatus,
+  supervisor: () => supervisor.stats(),
+  hubPosts: () => hubPostCounts,
+  outbox: () => outbox.status(),
+});
+
+// Put the static URL back unless a schedule rule or playlist owns the screen.
+function showSavedUrl(id) {
+  if (schedule.currentUrl(id) || playlists.currentUrl(id)) return;
+  const saved = loadState()[id];
+  if (saved) redirectBrowser(id, saved);
 }
 
-// Returns an object like:
-// {
-//   "HDMI-1": { present:true, status:"connected"|"disconnected", w:1920, h:1080, x:0, y:0 },
-//   "HDMI-2": { present:false, status:"unavailable" }   // if connector not exposed by GPU
-// }
-function getHdmiStatus() {
-  const xr = _runXR("xrandr --query");
-  const want = ["HDMI-1", "HDMI-2"];
-  const map = {};
-
-  for (const name of want) {
-    const line = xr.match(new RegExp(`^${name}\\s+(connected|disconnected)\\b(.*)$`, "m"));
-    if (!line) {
-      // The connector name is not present at all in xrandr output
-      map[name] = { present: false, status: "unavailable" };
-      continue;
-    }
-    const status = line[1];
-    const tail = line[2] || "";
-    let w, h, x, y;
-    const g = tail.match(/(\d{2,5})x(\d{2,5})\+(\d{1,5})\+(\d{1,5})/);
-    if (g) { w = +g[1]; h = +g[2]; x = +g[3]; y = +g[4]; }
-    map[name] = {
-      present: true,
-      status,
-      ...(status === "connected" && Number.isFinite(w) ? { w, h, x, y } : {})
-    };
-  }
-  return map;
+// --- display status helpers (port-true by connector name) ---
+// Returns one entry per screen, e.g.
+// [
+//   { id:"1", connector:"HDMI-1", present:true, status:"connected"|"disconnected", w:1920, h:1080, x:0, y:0 },
+//   { id:"2", connector:"DP-1",   present:false, status:"unavailable" }   // connector not exposed by GPU
+// ]
+function getDisplayStatus() {
+  const { outputs } = readXrandr();
+  return listScreens().map(({ id, connector }) => {
+    const o = outputs[connector];
+    if (!o) return { id, connector, present: false, status: "unavailable" };
+    const geom = Number.isFinite(o.w) ? { w: o.w, h: o.h, x: o.x, y: o.y } : {};
+    return { id, connector, present: true, status: o.status, ...geom };
+  });
 }
  
 /* diagnostics helper */
@@ -273,13 +355,13 @@ function getDiagnostics() {
   }
 
   // Time/meta
-  const tz = { timeZone: "Africa/Johannesburg" };
+  const tz = { timeZone: TZ };
   const bootIso = new Date(Date.now() - os.uptime() * 1000).toISOString();
   const urlsTs = loadUrlsChangedTs();
   const urlsIso = urlsTs ? new Date(urlsTs).toISOString() : null;
 
-  // HDMI ports status (from xrandr)
-  const hdmi = getHdmiStatus(); // { "HDMI-1": {...}, "HDMI-2": {...} }
+  // display connector status (from xrandr)
+  const displays = getDisplayStatus(); // [{ id, connector, status, ... }]
 
   return {
     time: new Date().toLocaleString("en-ZA", tz),
@@ -291,9 +373,26 @@ function getDiagnostics() {
 
     lastReboot: bootIso,
     urlsLastChanged: urlsIso,
+    hostHealth: checkHostHealth(),
+    maintenance: maintenance.status(),
+    autopatch: autopatch.status(),
+    auth: authStatus(),
 
     // only this for displays
-    hdmi
+    displays,
+    playlists: playlists.status(),
+    schedule: schedule.status().screens,
+    watchdog: watchdogs.status(),
+    hubChannel: hubChannel.status(),
+    outbox: outbox.status(),
+    screenshotHistory: history.status(),
+    frames: frames.status(),
+    recording: recordingStatus(),
+    consoleLog: consoleLogs.status(),
+    networkLog: networkLogs.status(),
+    perf: perf.status(),
+    cdp: sessionStatus(),
+    supervisor: supervisor.stats()
   };
 }
 
@@ -302,7 +401,8 @@ function getDiagnostics() {
 
 /* ---------------------------------------------------------------------- */
 /* mouse helpers */
-const INIT_FILE = "/home/admin/kiosk/pointer.init";
+const INIT_FILE = statePath("pointer.init");
+const AS_DESKTOP = `sudo -u ${DESKTOP_USER} DISPLAY=${X_ENV.DISPLAY} XAUTHORITY=${X_ENV.XAUTHORITY}`;
 function loadPointerState() {
   if (!fs.existsSync(INIT_FILE)) return { hidden: true };
   try { return JSON.parse(fs.readFileSync(POINTER_FILE, "utf8")); }
@@ -316,21 +416,21 @@ function savePointerState(s) {
   } catch (e) { console.error("[mouse] persist failed:", e); }
 }
 function isCursorHidden() {
-  try { execSync("pgrep -u admin unclutter", { stdio: "ignore" }); return true; }
+  try { execSync(`pgrep -u ${DESKTOP_USER} unclutter`, { stdio: "ignore" }); return true; }
   catch { return false; }
 }
 function hideCursor() {
   try {
-    execSync("sudo -u admin DISPLAY=:0 XAUTHORITY=/home/admin/.Xauthority pkill unclutter || true", { stdio: "ignore" });
+    execSync(`${AS_DESKTOP} pkill unclutter || true`, { stdio: "ignore" });
     spawn(
       "sudo",
-      ["-u","admin","DISPLAY=:0","XAUTHORITY=/home/admin/.Xauthority","unclutter","-idle","0","-root"],
+      ["-u",DESKTOP_USER,`DISPLAY=${X_ENV.DISPLAY}`,`XAUTHORITY=${X_ENV.XAUTHORITY}`,"unclutter","-idle","0","-root"],
       { detached: true, stdio: "ignore" }
     ).unref();
   } catch (e) { console.error("[mouse] hide failed:", e); }
 }
 function showCursor() {
-  try { execSync("sudo -u admin DISPLAY=:0 XAUTHORITY=/home/admin/.Xauthority pkill unclutter || true", { stdio: "ignore" }); }
+  try { execSync(`${AS_DESKTOP} pkill unclutter || true`, { stdio: "ignore" }); }
   catch (e) { console.error("[mouse] show failed:", e); }
 }
 
@@ -345,70 +445,143 @@ function showCursor() {
 
 /* ---------------------------------------------------------------------- */
 /* express app + routes */
+// Read-only routes stay open; anything that changes the device goes through requireAuth,
+// and anything that runs or reads inside a page goes through requireAdmin (and the audit log).
 const app = express();
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 
-app.get("/screenshot/:id", async (req, res) => {
+// ?format=jpeg|png|webp &width=<px>|full &quality=1..100 &crop=x,y,w,h
+async function sendScreenshot(req, res, capture) {
+  const { opts, error } = parseScreenshotOptions(req.query);
+  if (error) return res.status(400).send(error);
   try {
-    const { mime, buffer } = await captureScreenshot(req.params.id, 30);
+    const { mime, buffer } = await capture(opts);
     res.type(mime).send(buffer);
-  } catch (err) { res.status(500).send(err.message); }
+  } catch (err) { res.status(err.status || 500).send(err.message); }
+}
+// registered before /:id so "all" is not taken for a screen id
+app.get("/screenshot/all", (req, res) => sendScreenshot(req, res, opts => captureAllScreens(opts)));
+app.get("/screenshot/:id", (req, res) => sendScreenshot(req, res, opts => captureScreenshot(req.params.id, opts)));
+
+// short clip: ?seconds=N &format=mp4|gif &method=auto|x11|cdp (one recording at a time)
+app.get("/record/:id", async (req, res) => {
+  const { opts, error } = parseRecordOptions(req.query);
+  if (error) return res.status(400).send(error);
+  try {
+    const clip = await recordClip(req.params.id, opts);
+    res.set("X-Record-Method", clip.method);
+    if (clip.truncated) res.set("X-Record-Truncated", "size limit");
+    res.type(clip.mime).send(clip.buffer);
+  } catch (err) {
+    console.error(`[record] screen ${req.params.id}: ${err.message}`);
+    res.status(err.status || 500).send(err.message);
+  }
+});
+
+/* screenshot history: list, latest, one capture */
+app.get("/screenshots", (_, res) => res.json(history.status()));
+app.get("/screenshots/:id", (req, res) => {
+  if (!getScreen(req.params.id)) return res.status(404).send("unknown screen");
+  res.json(history.list(req.params.id));
+});
+app.get("/screenshots/:id/:stamp", (req, res) => {
+  const { id, stamp } = req.params;
+  if (!getScreen(id)) return res.status(404).send("unknown screen");
+  const found = history.get(id, stamp); // stamp may be "latest"
+  if (!found) return res.status(404).send("no such capture");
+  res.set("X-Captured-At", found.item.at).type(found.item.mime).sendFile(found.path);
 });
 
 app.get("/diagnostic", (_, res) => res.json(getDiagnostics()));
+app.get("/metrics", (_, res) => res.type(metrics.contentType).send(metrics.render()));
+app.get("/config", (_, res) => res.json(describeConfig()));
 app.get("/diagnostic-ui", (req, res) => {
   const state  = loadState();
-  const screen = req.query.screen;
-  const target = screen === "1" ? state.hdmi1
-               : screen === "2" ? state.hdmi2
-               : null;
+  const screen = getScreen(req.query.screen) ? String(req.query.screen) : undefined;
+  const target = screen ? effectiveUrl(screen) : null;
   res.render("diagnostic-ui", {
     d: getDiagnostics(),
     urls: state,
+    screens: listScreens(),
     target,
     screen,
+    tz: TZ,
     version: APP_VERSION
   });
 });
 
-app.post("/reboot", rebootGuard.handleRebootBlocking);
+/* reboot jobs: POST starts (or joins) a job that waits for the guard; poll GET, cancel with DELETE
+ *   ?dryRun=1       only report what blocks a reboot now
+ *   ?maxWaitMs=N    give up after N ms (default config.reboot.defaultMaxWaitMs)
+ *   ?force=1        reboot now, skipping the guard (admin only)
+ */
+const flag = v => v === "1" || v === "true";
+app.post("/reboot", (req, res, next) => (flag(req.query.force) ? requireAdmin : requireAuth)(req, res, next), (req, res) => {
+  if (flag(req.query.dryRun)) return res.json({ dryRun: true, ...rebootGuard.rebootBlockers() });
+
+  const force = flag(req.query.force);
+  if (typeof req.query.maxWaitMs !== "undefined" && !/^\d+$/.test(req.query.maxWaitMs)) {
+    return res.status(400).send("maxWaitMs must be a whole number of milliseconds");
+  }
+  const maxWaitMs = typeof req.query.maxWaitMs === "undefined" ? undefined : Number(req.query.maxWaitMs);
+  const requestedBy = `${(req.auth && req.auth.via) || "none"}@${req.ip}`;
+  try {
+    const { job, attached } = rebootGuard.requestReboot({ maxWaitMs, force, requestedBy });
+    if (force) recordAudit(req, { action: "reboot-force", job: job.id, ok: true, skipped: job.blockers && job.blockers.reasons });
+    res.status(202).location(`/reboot/${job.id}`).json({ ...job, attached });
+  } catch (err) {
+    res.status(err.status || 500).send(err.message);
+  }
+});
+app.get("/reboot/:job", (req, res) => {
+  const job = rebootGuard.getRebootJob(req.params.job);
+  if (!job) return res.status(404).send("no such reboot job");
+  res.json(job);
+});
+app.delete("/reboot/:job", requireAuth, (req, res) => {
+  try { res.json(rebootGuard.cancelRebootJob(req.params.job, `${(req.auth && req.auth.via) || "none"}@${req.ip}`)); }
+  catch (err) { res.status(err.status || 500).send(err.message); }
+});
 
-app.get("/saved-urls", (_, res) => res.json(loadState()));
-app.post("/saved-urls", (req, res) => {
-  const { hdmi1, hdmi2 } = req.body || {};
-  const ok = v => typeof v === "string" || v === null || typeof v === "undefined";
-  if (!ok(hdmi1) || !ok(hdmi2)) return res.status(400).send("hdmi1/hdmi2 bad type");
+app.get("/saved-urls", (_, res) => res.json(publicUrls()));
+// Body: { "<screen id>": url|null, ... }; legacy { hdmi1, hdmi2 } keys are still accepted.
+app.post("/saved-urls", requireAuth, (req, res) => {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const updates = {};
+  for (const [key, url] of Object.entries(body)) {
+    const id = screenIdFromKey(key);
+    if (!id) return res.status(400).send(`unknown key ${key}`);
+    if (typeof url !== "string" && url !== null) return res.status(400).send(`${key} bad type`);
+    if (!getScreen(id)) {
+      if (url === null) continue; // hub clearing a screen this box does not have
+      return res.status(400).send(`no screen ${id} on this device`);
+    }
+    updates[id] = url;
+  }
 
   const state = loadState();
   let changed = false;
 
-  if (typeof hdmi1 !== "undefined") {
-    if (hdmi1 !== state.hdmi1) changed = true;
-    state.hdmi1 = hdmi1;
-    if (typeof hdmi1 === "string" && hdmi1) redirectBrowser("1", hdmi1);
-  }
-  if (typeof hdmi2 !== "undefined") {
-    if (hdmi2 !== state.hdmi2) changed = true;
-    state.hdmi2 = hdmi2;
-    if (typeof hdmi2 === "string" && hdmi2) redirectBrowser("2", hdmi2);
+  for (const [id, url] of Object.entries(updates)) {
+    if (url !== (state[id] ?? null)) changed = true;
+    state[id] = url;
+    if (schedule.currentUrl(id) || playlists.currentUrl(id)) {
+      console.log(`[saved-urls] screen ${id} follows its schedule/playlist; saved URL kept as fallback`);
+    } else if (typeof url === "string" && url) redirectBrowser(id, url);
   }
 
   saveState(state);
-
-   
-    bumpUrlsChangedTs();     // single timestamp for any URL change
-    announceUrls(state);     // keep your existing urls event
-    announceSelf();          // push fresh diagnostics (includes updated urlsLastChanged)
-   
-
-  res.json(state);
+  bumpUrlsChangedTs();     // single timestamp for any URL change
+  announceUrls(state);     // keep your existing urls event
+  announceSelf();          // push fresh diagnostics (includes updated urlsLastChanged)
+  res.json(publicUrls(state));
 });
 
 
 app.get("/mouse", (_, res) => res.json(loadPointerState()));
-app.post("/mouse", (req, res) => {
+app.post("/mouse", requireAuth, (req, res) => {
   const { hidden } = req.body || {};
   if (typeof hidden !== "boolean") return res.status(400).send('Expecting JSON body { "hidden": true|false }');
   const wasHidden = isCursorHidden();
@@ -419,39 +592,91 @@ app.post("/mouse", (req, res) => {
   res.json({ hidden });
 });
 
-/* clear cookies/cache/reload */
-function clearCookiesCacheAndRefresh(port) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const list = await fetchJson(port);
-      const page = list.find(t => t.type === "page");
-      if (!page) return reject(new Error('no "page" target found'));
-      const ws = new WebSocket(page.webSocketDebuggerUrl);
-      let id = 0;
-      const send = (method, params = {}) => ws.send(JSON.stringify({ id: ++id, method, params }));
-      ws.once("open", () => {
-        send("Network.clearBrowserCookies");
-        send("Network.clearBrowserCache");
-        send("Page.reload", { ignoreCache: true });
-        setTimeout(() => { ws.close(); resolve(); }, 500);
-      });
-      ws.once("error", err => { ws.close(); reject(err); });
-    } catch (err) { reject(err); }
+/* playlists */
+app.get("/playlists", (_, res) => res.json(playlists.status()));
+app.get("/playlists/:id", (req, res) => {
+  const { id } = req.params;
+  if (!getScreen(id)) return res.status(404).send("unknown screen");
+  res.json({ playlist: playlists.get(id), status: playlists.status()[id] || null });
+});
+// Body: { items: [{ url, dwellSec, reload? }], loop?: "loop"|"once"|"shuffle" }; empty items clears it.
+app.post("/playlists/:id", requireAuth, (req, res) => {
+  const { id } = req.params;
+  if (!getScreen(id)) return res.status(404).send("unknown screen");
+  const { playlist, error } = normalizePlaylist(req.body);
+  if (error) return res.status(400).send(error);
+  playlists.set(id, playlist);
+  if (!playlist.items.length) showSavedUrl(id);
+  announceSelf();
+  res.json({ playlist: playlists.get(id), status: playlists.status()[id] || null });
+});
+app.delete("/playlists/:id", requireAuth, (req, res) => {
+  const { id } = req.params;
+  if (!getScreen(id)) return res.status(404).send("unknown screen");
+  playlists.set(id, null);
+  showSavedUrl(id);
+  announceSelf();
+  res.json({ ok: true });
+});
+for (const action of ["pause", "resume", "next"]) {
+  app.post(`/playlists/:id/${action}`, requireAuth, (req, res) => {
+    const { id } = req.params;
+    if (!playlists[action](id)) return res.status(404).send("no playlist for this screen");
+    res.json(playlists.status()[id] || null);
   });
 }
-app.post("/clear-cookies/:id", async (req, res) => {
-  const port = SCREEN_PORT[req.params.id];
-  if (!port) return res.status(400).send("invalid HDMI id");
+
+/* schedule (dayparting) */
+app.get("/schedule", (_, res) => res.json({ schedule: schedule.get(), ...schedule.status() }));
+// Body: { rules: [{ id?, screens, days, start, end, url }], fallback?: { "<id>": url } }
+app.post("/schedule", requireAuth, (req, res) => {
+  const { schedule: next, error } = normalizeSchedule(req.body);
+  if (error) return res.status(400).send(error);
+  const unknown = [...next.rules.flatMap(r => r.screens), ...Object.keys(next.fallback)].filter(id => !getScreen(id));
+  if (unknown.length) return res.status(400).send(`no screen ${unknown[0]} on this device`);
+  schedule.set(next);
+  announceSelf();
+  res.json({ schedule: schedule.get(), ...schedule.status() });
+});
+
+/* page health watchdog */
+/* browser lifecycle: one screen, or everything (re-layout) without rebooting */
+app.get("/supervisor", (_, res) => res.json(supervisor.status()));
+app.post("/supervisor/restart", requireAuth, (req, res) => {
+  if (!supervisor.stats().active) return res.status(409).send("supervisor not running");
+  supervisor.restartAll(`requested via ${(req.auth && req.auth.via) || "api"}`)
+    .catch(err => console.error("[supervisor] restart failed:", err));
+  res.status(202).send("restarting all browsers");
+});
+app.post("/screens/:id/restart-browser", requireAuth, (req, res) => {
+  const scr = getScreen(req.params.id);
+  if (!scr) return res.status(404).send("unknown screen");
+  if (!supervisor.restartBrowser(scr.id)) return res.status(409).send(`screen ${scr.id} has no browser (not connected or supervisor restarting)`);
+  res.status(202).send(`restarting browser for screen ${scr.id} (${scr.connector})`);
+});
+
+app.get("/watchdog", (_, res) => res.json({ screens: watchdogs.status(), incidents: watchdogs.incidents() }));
+
+/* clear cookies/cache/reload */
+async function clearCookiesCacheAndRefresh(screenId) {
+  const session = getSession(screenId);
+  await session.send("Network.clearBrowserCookies");
+  await session.send("Network.clearBrowserCache");
+  await session.send("Page.reload", { ignoreCache: true });
+}
+app.post("/clear-cookies/:id", requireAuth, async (req, res) => {
+  const scr = getScreen(req.params.id);
+  if (!scr) return res.status(400).send("invalid screen id");
   try {
-    await clearCookiesCacheAndRefresh(port);
-    res.send(`Cookies, cache cleared and page reloaded for HDMI-${req.params.id}`);
+    await clearCookiesCacheAndRefresh(scr.id);
+    res.send(`Cookies, cache cleared and page reloaded for screen ${scr.id} (${scr.connector})`);
   } catch (e) {
-    console.error(`[cookies] HDMI-${req.params.id} failed:`, e.message);
+    console.error(`[cookies] screen ${scr.id} failed:`, e.message);
     res.status(500).send(`failed: ${e.message}`);
   }
 });
 // Manual trigger: GET /autopatch/check
-app.get("/autopatch/check", (req, res) => {
+app.get("/autopatch/check", requireAuth, (req, res) => {
   if (autopatch.isBusy()) {
     res.status(202).send("autopatch already running");
     return;
@@ -459,21 +684,146 @@ app.get("/autopatch/check", (req, res) => {
   const vt = req.query.vt ? Number(req.query.vt) : undefined; // e.g. /autopatch/check?vt=3
 
   // fire-and-forget
-  autopatch.checkAndApply({ vt })
+  autopatch.checkAndApply({ vt, trigger: "manual" })
     .then(r => console.log(`[autopatch] completed: ${JSON.stringify(r)}`))
     .catch(err => console.error("[autopatch] failed:", err));
 
   res.status(202).send("autopatch started in background");
 });
 
-/* live console logs over SSE (unchanged) */
+app.get("/autopatch/status", (_, res) => res.json({ current: getLatestPatch(), ...autopatch.status() }));
+
+/* what this device would do with each pending manifest patch (targeting, channel, rollout), without running anything;
+   authenticated: it fetches the remote manifest and returns the device's MACs and IPs */
+app.get("/autopatch/plan", requireAuth, async (_, res) => {
+  try {
+    res.json(await autopatch.plan());
+  } catch (e) {
+    res.status(502).json({ error: e.message, reason: e.reason });
+  }
+});
+
+/* applied patches from the patch history, newest first: ?limit=N */
+app.get("/autopatch/history", (req, res) => {
+  const limit = req.query.limit ? Number(req.query.limit) : null;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) return res.status(400).send("limit must be a positive integer");
+  const entries = getPatchHistory().reverse();
+  res.json({ file: PATCH_HISTORY_FILE, count: entries.length, entries: limit ? entries.slice(0, limit) : entries });
+});
+
+/* live patch log over SSE: the last ?lines=N (default 200) lines, then everything appended, plus run status changes.
+   Admin only and audited: `bash -x` echoes every command and variable of patches run as root. */
+app.get("/autopatch/log", requireAdmin, (req, res) => {
+  const backlog = req.query.lines ? Number(req.query.lines) : 200;
+  if (!Number.isInteger(backlog) || backlog < 0 || backlog > 5000) return res.status(400).send("lines must be 0..5000");
+  recordAudit(req, { action: "autopatch-log", ok: true });
+
+  res.writeHead(200, {
+    "Content-Type":  "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection:      "keep-alive"
+  });
+  res.flushHeaders();
+
+  const send = obj => res.write(`data: ${JSON.stringify(obj)}\n\n`);
+  const runKey = () => { const { run } = autopatch.status(); return run ? `${run.phase}:${run.patch}:${run.unit}` : "idle"; };
+  let lastKey = null;
+  function sendStatus() {
+    const key = runKey();
+    if (key === lastKey) return;
+    lastKey = key;
+    const { running, run, lastResult } = autopatch.status();
+    send({ kind: "status", running, run, lastResult: running ? undefined : lastResult, ts: Date.now() });
+  }
+
+  sendStatus();
+  const stop = autopatch.followLog(lines => lines.forEach(text => send({ kind: "log", text })), { backlog });
+  const watch = setInterval(sendStatus, 1000);
+  const ping = setInterval(() => res.write(": ping\n\n"), 30000);
+  req.on("close", () => { stop(); clearInterval(watch); clearInterval(ping); });
+});
+
+/* stored console logs: ?since=<iso|ms>&level=debug|info|warning|error&q=<text>&limit=N */
+app.get("/console-log/:id", (req, res) => {
+  const { id } = req.params;
+  if (!getScreen(id)) return res.status(404).send("unknown screen");
+  const { since, level, q } = req.query;
+  if (level && !CONSOLE_LEVELS.includes(level)) return res.status(400).send(`level must be one of ${CONSOLE_LEVELS.join(", ")}`);
+  if (since && !/^\d+$/.test(since) && Number.isNaN(Date.parse(since))) return res.status(400).send("since must be an ISO time or ms epoch");
+  const limit = req.query.limit ? Number(req.query.limit) : 500;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 10000) return res.status(400).send("limit must be 1..10000");
+  res.json(consoleLogs.query(id, { since, level, q, limit }));
+});
+
+/* page inspection (admin only, every call audited) */
+// body: { expression, timeoutMs?, awaitPromise? }
+app.post("/screens/:id/evaluate", requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { opts, error } = parseEvaluateOptions(req.body);
+  const started = Date.now();
+  const audit = extra => recordAudit(req, { action: "evaluate", screen: id, expression: req.body && req.body.expression, ms: Date.now() - started, ...extra });
+  if (error) { audit({ ok: false, error }); return res.status(400).send(error); }
+  try {
+    const result = await evaluateOnScreen(id, opts);
+    audit({ ok: true, exception: result.exception });
+    res.json(result);
+  } catch (err) {
+    audit({ ok: false, error: err.message });
+    res.status(err.status || 500).send(err.message);
+  }
+});
+
+// ?selector=<css> &mode=html|text &all=1
+app.get("/screens/:id/dom", requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { opts, error } = parseDomOptions(req.query);
+  const started = Date.now();
+  const audit = extra => recordAudit(req, { action: "dom", screen: id, selector: req.query.selector, mode: req.query.mode, ms: Date.now() - started, ...extra });
+  if (error) { audit({ ok: false, error }); return res.status(400).send(error); }
+  try {
+    const result = await queryDom(id, opts);
+    audit({ ok: true, count: result.count });
+    res.json(result);
+  } catch (err) {
+    audit({ ok: false, error: err.message });
+    res.status(err.status || 500).send(err.message);
+  }
+});
+
+/* memory / performance samples and trend */
+app.get("/screens/:id/perf", (req, res) => {
+  if (!getScreen(req.params.id)) return res.status(404).send("unknown screen");
+  const trend = perf.trend(req.params.id);
+  if (!trend) return res.status(503).send("performance sampling not running for this screen");
+  res.json(trend);
+});
+
+/* recorded page requests: summary (failures, slowest hosts) and HAR download (admin only, audited: full URLs and headers) */
+app.get("/screens/:id/network", requireAdmin, (req, res) => {
+  const { id } = req.params;
+  const audit = extra => recordAudit(req, { action: "network", screen: id, ...extra });
+  if (!getScreen(id)) { audit({ ok: false, error: "unknown screen" }); return res.status(404).send("unknown screen"); }
+  const summary = networkLogs.summary(id);
+  if (!summary) { audit({ ok: false, error: "not recording" }); return res.status(503).send("network recording not running for this screen"); }
+  audit({ ok: true });
+  res.json(summary);
+});
+app.get("/screens/:id/har", requireAdmin, (req, res) => {
+  const { id } = req.params;
+  const audit = extra => recordAudit(req, { action: "har", screen: id, ...extra });
+  if (!getScreen(id)) { audit({ ok: false, error: "unknown screen" }); return res.status(404).send("unknown screen"); }
+  const har = networkLogs.har(id);
+  if (!har) { audit({ ok: false, error: "not recording" }); return res.status(503).send("network recording not running for this screen"); }
+  audit({ ok: true, count: har.log.entries.length });
+  const stamp = new Date().toISOString().replace(/\.\d+Z$/, "Z").replace(/[-:]/g, "");
+  res.set("Content-Disposition", `attachment; filename="screen-${id}-${stamp}.har"`);
+  res.type("application/json").send(JSON.stringify(har, null, 2));
+});
+
+/* live console logs over SSE */
 app.get("/console/:id?", (req, res) => {
-  const ports = getCurrentPorts(); // { "1": <port>, "2": <port> }
-  const want = (() => {
-    const id = req.params.id;
-    if (id === "1" || id === "2") return [[id, ports[id]]];
-    return Object.entries(ports);
-  })();
+  const ids = listScreens().map(s => s.id);
+  const want = req.params.id && ids.includes(req.params.id) ? [req.params.id] : ids;
 
   res.writeHead(200, {
     "Content-Type":  "text/event-stream",
@@ -484,43 +834,31 @@ app.get("/console/:id?", (req, res) => {
 
   const send = obj => res.write(`data: ${JSON.stringify(obj)}\n\n`);
 
-  function wire(screen, port) {
-    if (!port) {
-      send({ screen, kind: "error", text: "no port for screen" });
-      return;
-    }
-    fetchJson(port)
-      .then(list => {
-        const page = list.find(t => t.type === "page");
-        if (!page) throw new Error('no "page" target');
-        const ws = new WebSocket(page.webSocketDebuggerUrl);
-        let msgId = 0;
-        const sendCmd = (method, params = {}) => ws.send(JSON.stringify({ id: ++msgId, method, params }));
-        ws.on("open", () => { sendCmd("Runtime.enable"); sendCmd("Log.enable"); });
-        ws.on("message", data => {
-          try { data = JSON.parse(data); } catch { return; }
-          if (data.method === "Runtime.consoleAPICalled") {
-            const { type, args } = data.params;
-            send({ screen, kind: "console", type, text: args.map(a => a.value ?? a.description).join(" "), ts: Date.now() });
-          }
-          if (data.method === "Log.entryAdded") {
-            const { entry } = data.params;
-            send({ screen, kind: "browser", level: entry.level, source: entry.source, text: entry.text, ts: entry.timestamp });
-          }
-        });
-        ws.on("close", () => send({ screen, kind: "status", text: "closed" }));
-        ws.on("error", e => send({ screen, kind: "error", text: e.message }));
-        req.on("close", () => ws.close());
-      })
-      .catch(err => { send({ screen, kind: "error", text: `connect failed: ${err.message}` }); });
+  function wire(id) {
+    const screen = Number(id);
+    const session = getSession(id);
+    const handlers = {
+      "Runtime.consoleAPICalled": ({ type, args }) =>
+        send({ screen, kind: "console", type, text: args.map(a => a.value ?? a.description).join(" "), ts: Date.now() }),
+      "Log.entryAdded": ({ entry }) =>
+        send({ screen, kind: "browser", level: entry.level, source: entry.source, text: entry.text, ts: entry.timestamp }),
+      disconnected: () => send({ screen, kind: "status", text: "closed" }),
+      connected: () => send({ screen, kind: "status", text: "connected" }),
+    };
+    for (const [ev, fn] of Object.entries(handlers)) session.on(ev, fn);
+    session.enable("Runtime");
+    session.enable("Log");
+    session.ready().catch(err => send({ screen, kind: "error", text: `connect failed: ${err.message}` }));
+    req.on("close", () => { for (const [ev, fn] of Object.entries(handlers)) session.off(ev, fn); });
   }
 
-  want.forEach(([scr, port]) => wire(Number(scr), port));
+  want.forEach(wire);
   const ping = setInterval(() => res.write(": ping\n\n"), 30000);
   req.on("close", () => clearInterval(ping));
 });
 
 
+
 /* ---------------------------------------------------------------------- */
 /* start server */
 /* ---------------------------------------------------------------------- */
@@ -528,29 +866,44 @@ app.get("/console/:id?", (req, res) => {
 app.listen(PORT, async () => {
  console.log(`kiosk-server listening on ${PORT}`);
 
+  // enforcing without credentials locks out the hub and every operator; say so loudly
+  const { problem: authProblem } = authStatus();
+  if (authProblem) console.error(`[auth] ${authProblem}; protected routes will answer 503`);
+
   // Fire-and-forget: do not await (or set graceMs:0 to return immediately even if you await)
   stopBrowsersServiceNow("betsa-browsers.service");
 
-  const sup = new HdmiBrowserSupervisor({ desktopUser: "admin", display: ":0" });
-  console.log("[supervisor] starting background loop");
-  sup.start().catch(err => console.error("[supervisor] crashed:", err));
+  console.log("[supervisor] starting browsers");
+  supervisor.start().catch(err => console.error("[supervisor] crashed:", err));
    
 
   // continue with your other tasks immediately
   const diag = `http://localhost:${PORT}/diagnostic-ui`;
   // give Chromium a moment to come up and create a Page target
   setTimeout(() => {
-    redirectBrowser("1", `${diag}?screen=1`);
-    redirectBrowser("2", `${diag}?screen=2`);
+    for (const { id } of listScreens()) redirectBrowser(id, `${diag}?screen=${id}`);
   }, 2000);
+  // the diagnostic page hands over to effectiveUrl() after its 5s countdown;
+  // the schedule goes first so screens it owns never start their playlist
+  setTimeout(() => { schedule.start(); playlists.start(); }, 2000 + 6000);
+  watchdogs.start();
 
-  autopatch.checkAndApply();
+  autopatch.checkAndApply({ trigger: "boot" })
+    .catch(err => console.error("[autopatch] boot check failed:", err && err.message ? err.message : err));
 
   const primary = detectPrimaryIPv4();
   const ip = primary && primary.ip;
-  const minute = autopatch.startNightlyStagger(ip, { hour: 20, tz: "Africa/Johannesburg" });
+  const minute = autopatch.startNightlyStagger(ip, { hour: config.autopatch.nightlyHour, tz: TZ });
   console.log(`[autopatch] stagger minute for ${ip || "unknown"}: ${minute}`);
 
+  outbox.start();
   announceSelf();
   setInterval(announceSelf, ANNOUNCE_INTERVAL);
+  history.start();
+  frames.start();
+  consoleLogs.start();
+  networkLogs.start();
+  perf.start();
+  maintenance.start();
+  hubChannel.start();
 });
@@ -0,0 +1,67 @@
+// test/config.test.js — defaults < kiosk.json < env layering, validation and repair
+"use strict";
+
+const dir = require("./helpers/env").useTempConfig();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadConfig, validateConfig } = require("../config");
+
+function writeFile(name, settings) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof settings === "string" ? settings : JSON.stringify(settings));
+  return file;
+}
+
+test("no file and no env gives the defaults", () => {
+  const { config, sources, errors } = loadConfig({ file: path.join(dir, "absent.json"), env: {} });
+  assert.equal(config.port, 8080);
+  assert.equal(config.timezone, "Africa/Johannesburg");
+  assert.deepEqual(errors, []);
+  assert.equal(sources.file, null);
+});
+
+test("the file overrides defaults and env overrides the file", () => {
+  const file = writeFile("layers.json", { port: 9090, hub: "http://staging:7070", outbox: { maxEntries: 50 } });
+  const { config, sources } = loadConfig({ file, env: { KIOSK_PORT: "9191" } });
+  assert.equal(config.port, 9191);
+  assert.equal(config.hub, "http://staging:7070");
+  assert.equal(config.outbox.maxEntries, 50);
+  assert.equal(config.outbox.retryMinMs, 2000); // siblings keep their defaults
+  assert.deepEqual(sources.env, ["KIOSK_PORT"]);
+});
+
+test("derived values follow the layers they come from", () => {
+  const file = writeFile("derived.json", { hub: "https://hub.example:8443/" });
+  const { config } = loadConfig({ file, env: {} });
+  assert.equal(config.hubChannel.url, "wss://hub.example:8443/device/ws");
+  assert.ok(Object.isFrozen(config.hubChannel));
+});
+
+test("invalid settings are reported and fall back to their default", () => {
+  const file = writeFile("invalid.json", { port: "eighty", auth: { mode: "strict" }, bogus: 1 });
+  const { config, errors } = loadConfig({ file, env: {} });
+  assert.equal(config.port, 8080);
+  assert.equal(config.auth.mode, "enforce");
+  assert.equal("bogus" in config, false);
+  assert.deepEqual(errors.map(e => e.path).sort(), ["auth.mode", "bogus", "port"]);
+});
+
+test("an unreadable file is reported, not fatal", () => {
+  const file = writeFile("broken.json", "{ port: 1");
+  const { config, sources } = loadConfig({ file, env: {} });
+  assert.equal(config.port, 8080);
+  assert.ok(sources.fileError);
+});
+
+test("validateConfig checks screens for duplicates", () => {
+  const screens = [
+    { id: "1", connector: "HDMI-1", debugPort: 9222 },
+    { id: "2", connector: "HDMI-1", debugPort: 9222 },
+  ];
+  const paths = validateConfig({ screens }).map(e => e.path);
+  assert.ok(paths.includes("screens.1.connector"));
+  assert.ok(paths.includes("screens.1.debugPort"));
+});
@@ -0,0 +1,23 @@
+// test/helpers/env.js — throwaway kiosk.json + state dir; call before requiring any app module
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Point KIOSK_CONFIG at a temp kiosk.json holding `settings` (stateDir is the
+ * temp dir itself) and drop KIOSK_* overrides from the caller's environment,
+ * so tests never read /etc/betsa or write to the real state dir.
+ */
+function useTempConfig(settings = {}) {
+  for (const name of Object.keys(process.env)) if (name.startsWith("KIOSK_")) delete process.env[name];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kiosk-test-"));
+  const file = path.join(dir, "kiosk.json");
+  fs.writeFileSync(file, JSON.stringify({ stateDir: dir, ...settings }));
+  process.env.KIOSK_CONFIG = file;
+  process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = { useTempConfig };
@@ -0,0 +1,96 @@
+// test/maintenance.test.js — next planned reboot (weekly slot, max uptime, window, stagger) and failed reboots
+"use strict";
+
+require("./helpers/env").useTempConfig({
+  maintenance: {
+    enabled: true, rebootDays: ["mon"], rebootAt: "04:00", maxUptimeDays: 2,
+    windowStart: "03:00", windowEnd: "05:00", staggerMinutes: 60,
+  },
+});
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const { initMaintenance } = require("../maintenance");
+
+const HOUR = 3600;
+const quiet = { log() {}, warn() {}, error() {} };
+
+// clock at `nowIso`, booted `uptimeS` seconds before it (SAST = UTC+2 throughout)
+function at(t, nowIso, uptimeS) {
+  t.mock.timers.reset();
+  t.mock.timers.enable({ apis: ["Date", "setTimeout", "setInterval"], now: Date.parse(nowIso) });
+  t.mock.method(os, "uptime", () => uptimeS);
+  return new Date(nowIso);
+}
+
+function maintenance(extra = {}) {
+  return initMaintenance({
+    ip: () => "10.1.2.40",
+    staggerMinute: () => 0,
+    isPatching: () => false,
+    busyState: () => ({ reasons: [] }),
+    reboot: () => {},
+    log: quiet,
+    ...extra,
+  });
+}
+
+function plan(m, now) {
+  const next = m.nextReboot(now);
+  return next && { at: next.at.toISOString(), reason: next.reason };
+}
+
+test("the earlier of max uptime and the weekly slot, at the next window opening", t => {
+  // Wed 12:00, up since Tue 12:00: uptime hits 2 days Thu 12:00 -> Fri 03:00 window
+  let now = at(t, "2026-10-21T10:00:00Z", 24 * HOUR);
+  assert.deepEqual(plan(maintenance(), now), { at: "2026-10-23T01:00:00.000Z", reason: "uptime >= 2 days" });
+
+  // Sun 12:00, up since Sun 00:00: Monday 04:00 comes first
+  now = at(t, "2026-10-25T10:00:00Z", 12 * HOUR);
+  assert.deepEqual(plan(maintenance(), now), { at: "2026-10-26T02:00:00.000Z", reason: "weekly reboot" });
+});
+
+test("a missed weekly slot is due at the next window opening, or now inside it", t => {
+  // up since Sun 12:00, so Monday 04:00 passed without a reboot
+  let now = at(t, "2026-10-21T10:00:00Z", 3 * 24 * HOUR);
+  let next = plan(maintenance(), now);
+  assert.equal(next.at, "2026-10-22T01:00:00.000Z");
+  assert.match(next.reason, /^weekly reboot \(/);
+
+  now = at(t, "2026-10-22T01:30:00Z", 3 * 24 * HOUR + 15.5 * HOUR);
+  assert.equal(plan(maintenance(), now).at, now.toISOString());
+});
+
+test("the stagger shifts both the weekly slot and the window opening", t => {
+  const now = at(t, "2026-10-25T10:00:00Z", 12 * HOUR);
+  const m = maintenance({ staggerMinute: () => 30 }); // 30/60 of staggerMinutes = 30 min
+  m.start();
+  assert.deepEqual(plan(m, now), { at: "2026-10-26T02:30:00.000Z", reason: "weekly reboot" });
+  assert.equal(m.status().window.staggerMinutes, 30);
+});
+
+test("a reboot that fails is recorded and retried after a pause", t => {
+  at(t, "2026-10-22T01:30:00Z", 3 * 24 * HOUR + 15.5 * HOUR);
+  const attempts = [];
+  const m = maintenance({ reboot: onFailed => attempts.push(onFailed) });
+
+  m.check();
+  assert.equal(attempts.length, 1);
+  assert.equal(m.status().lastCheck.action, "rebooting");
+  m.check(); // still waiting on that attempt
+  assert.equal(attempts.length, 1);
+
+  attempts[0](new Error("sudo: a password is required"));
+  const st = m.status();
+  assert.equal(st.lastCheck.action, "failed");
+  assert.equal(st.lastFailure.detail, "sudo: a password is required");
+
+  t.mock.timers.tick(5 * 60 * 1000);
+  m.check();
+  assert.equal(attempts.length, 1);
+  assert.equal(m.status().lastCheck.action, "waiting");
+  t.mock.timers.tick(5 * 60 * 1000);
+  m.check();
+  assert.equal(attempts.length, 2);
+});
@@ -0,0 +1,79 @@
+// test/outbox.test.js — coalescing per key, in-flight replacement, permanent vs retryable failures
+"use strict";
+
+require("./helpers/env").useTempConfig();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { Outbox, OUTBOX_FILE } = require("../outbox");
+
+const quiet = { log() {}, warn() {}, error() {} };
+const settle = async () => { for (let i = 0; i < 5; i++) await new Promise(r => setTimeout(r, 0)); };
+
+// send() that records calls and answers each one when the test says so
+function manualSend() {
+  const calls = [];
+  const send = (path, payload) => new Promise((resolve, reject) => calls.push({ path, payload, resolve, reject }));
+  return { calls, send };
+}
+
+test.beforeEach(() => fs.rmSync(OUTBOX_FILE, { force: true }));
+
+test("a newer payload for a key replaces the queued one", async () => {
+  const sent = [];
+  const box = new Outbox({ send: async (p, payload) => { sent.push(payload); }, log: quiet });
+  box.enqueue("/devices/announce", { v: 1 });
+  box.enqueue("/devices/announce", { v: 2 });
+  await settle();
+  assert.deepEqual(sent, [{ v: 2 }]);
+  assert.equal(box.status().pending, 0);
+});
+
+test("a key re-queued while in flight is sent again, behind the others", async () => {
+  const { calls, send } = manualSend();
+  const box = new Outbox({ send, log: quiet });
+  box.enqueue("/devices/announce", { v: 1 }, "announce");
+  await settle();
+  box.enqueue("/devices/urls", { u: 1 }, "urls");
+  box.enqueue("/devices/announce", { v: 2 }, "announce");
+  assert.deepEqual(box.status().keys, ["urls", "announce"]);
+
+  calls[0].resolve();
+  await settle();
+  calls[1].resolve();
+  await settle();
+  calls[2].resolve();
+  await settle();
+  assert.deepEqual(calls.map(c => c.payload), [{ v: 1 }, { u: 1 }, { v: 2 }]);
+  assert.equal(box.status().pending, 0);
+});
+
+test("a 4xx drops the message, a 5xx keeps it for a retry", async () => {
+  const { calls, send } = manualSend();
+  const box = new Outbox({ send, log: quiet });
+  box.enqueue("/devices/a", {}, "a");
+  box.enqueue("/devices/b", {}, "b");
+  await settle();
+  calls[0].reject(Object.assign(new Error("bad request"), { status: 400 }));
+  await settle();
+  calls[1].reject(Object.assign(new Error("unavailable"), { status: 503 }));
+  await settle();
+
+  const st = box.status();
+  clearTimeout(box.timer);
+  assert.deepEqual(st.keys, ["b"]);
+  assert.equal(st.dropped, 1);
+  assert.ok(st.nextAttemptAt);
+  assert.equal(box.entries[0].attempts, 1);
+});
+
+test("queued messages survive a restart", async () => {
+  const { send } = manualSend();
+  const first = new Outbox({ send, log: quiet });
+  first.enqueue("/devices/a", { n: 1 }, "a");
+  first.enqueue("/devices/b", { n: 2 }, "b");
+  const second = new Outbox({ send, log: quiet });
+  assert.deepEqual(second.status().keys, ["a", "b"]);
+  assert.deepEqual(second.entries[1].payload, { n: 2 });
+});
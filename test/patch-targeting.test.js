@@ -0,0 +1,59 @@
+// test/patch-targeting.test.js — evaluatePatch decisions: targets, versions, channels, hold, canary
+"use strict";
+
+require("./helpers/env").useTempConfig();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluatePatch, matchesRule, rolloutBucket } = require("../patch-targeting");
+
+const facts = {
+  hostname: "shop-042",
+  macs: ["aa:bb:cc:dd:ee:01"],
+  ips: ["10.1.2.40"],
+  mac: "aa:bb:cc:dd:ee:01",
+  model: "Raspberry Pi 5 Model B Rev 1.0",
+  appVersion: 12,
+  channel: "beta",
+  key: "aa:bb:cc:dd:ee:01",
+};
+const decision = patch => evaluatePatch({ number: 7, ...patch }, facts).decision;
+
+test("targets: every key of a rule must match, any rule will do", () => {
+  assert.ok(matchesRule({ hostnames: ["shop-*"], ipRanges: ["10.1.0.0/16"] }, facts));
+  assert.ok(matchesRule({ ipRanges: "10.1.2.30-10.1.2.50" }, facts));
+  assert.ok(!matchesRule({ hostnames: ["shop-*"], models: ["*Pi 4*"] }, facts));
+  assert.ok(!matchesRule({}, facts));
+  assert.equal(decision({ targets: [{ macs: ["AA-BB-CC-DD-EE-01"] }] }), "apply");
+  assert.equal(decision({ targets: [{ hostnames: ["hq-*"] }] }), "skip");
+});
+
+test("app version bounds: below min waits, above max skips, non-numbers skip", () => {
+  assert.equal(decision({ minAppVersion: 12, maxAppVersion: 12 }), "apply");
+  assert.equal(decision({ minAppVersion: 13 }), "wait");
+  assert.equal(decision({ maxAppVersion: "11" }), "skip");
+  const bad = evaluatePatch({ minAppVersion: "1.2.3" }, facts);
+  assert.equal(bad.decision, "skip");
+  assert.match(bad.reason, /minAppVersion "1.2.3" is not a number/);
+});
+
+test("channels: a device takes its own channel and the ones after it", () => {
+  assert.equal(decision({ channel: "pilot" }), "wait");
+  assert.equal(decision({ channel: "beta" }), "apply");
+  assert.equal(decision({}), "apply"); // stable by default
+  assert.equal(decision({ channel: "nightly" }), "wait");
+});
+
+test("hold pauses a patch even for targeted devices", () => {
+  assert.equal(decision({ hold: true, targets: [{ hostnames: ["shop-042"] }] }), "wait");
+});
+
+test("rollout: percent by stable bucket, include rules go first", () => {
+  const bucket = rolloutBucket(facts.key, 7);
+  assert.ok(bucket >= 0 && bucket < 100);
+  assert.equal(rolloutBucket(facts.key.toUpperCase(), 7), bucket);
+  assert.equal(decision({ rollout: { percent: 0 } }), "wait");
+  assert.equal(decision({ rollout: { percent: 100 } }), "apply");
+  assert.equal(decision({ rollout: { percent: bucket } }), "wait");
+  assert.equal(decision({ rollout: { percent: 0, include: [{ hostnames: ["shop-042"] }] } }), "apply");
+});
@@ -0,0 +1,104 @@
+// test/reboot-guard.test.js — reboot job state machine (waiting -> rebooting | failed | cancelled | timed-out)
+"use strict";
+
+const dir = require("./helpers/env").useTempConfig();
+process.env.KIOSK_APP_DIR = dir; // no .git locks here
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const childProcess = require("child_process");
+
+// the guard shells out to systemctl/pgrep and spawns `sudo reboot`: fake both before it loads
+let updaterActive = false;
+const spawned = [];
+childProcess.execSync = cmd => {
+  if (updaterActive && cmd.startsWith("systemctl is-active")) return Buffer.from("active\n");
+  throw new Error("no match");
+};
+childProcess.spawn = (cmd, args) => {
+  const child = Object.assign(new EventEmitter(), { cmd, args, unref() {} });
+  spawned.push(child);
+  return child;
+};
+
+const { requestReboot, getRebootJob, cancelRebootJob } = require("../reboot-guard");
+
+// fake clock (timers and Date) and quiet logs for one test
+function setup(t) {
+  updaterActive = false;
+  spawned.length = 0;
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+}
+
+test("an idle device reboots at once; a failing reboot command marks the job failed", t => {
+  setup(t);
+  const { job, attached } = requestReboot({ requestedBy: "test" });
+  assert.equal(attached, false);
+  assert.equal(job.state, "rebooting");
+
+  t.mock.timers.tick(100);
+  assert.equal(spawned.length, 1);
+  assert.deepEqual([spawned[0].cmd, ...spawned[0].args], ["sudo", "-n", "reboot"]);
+  spawned[0].emit("exit", 1);
+
+  const after = getRebootJob(job.id);
+  assert.equal(after.state, "failed");
+  assert.match(after.error, /exited with code 1/);
+});
+
+test("a busy device waits; later requests attach and can cancel it", t => {
+  setup(t);
+  updaterActive = true;
+  const first = requestReboot({ maxWaitMs: 60000 });
+  assert.equal(first.job.state, "waiting");
+  assert.match(first.job.blockers.reasons.join(), /updater service active/);
+
+  const second = requestReboot({ maxWaitMs: 60000 });
+  assert.equal(second.attached, true);
+  assert.equal(second.job.id, first.job.id);
+  assert.equal(second.job.requests, 2);
+
+  assert.equal(cancelRebootJob(first.job.id, "test").state, "cancelled");
+  assert.throws(() => cancelRebootJob(first.job.id), { status: 409 });
+  assert.throws(() => cancelRebootJob("nope"), { status: 404 });
+  assert.equal(spawned.length, 0);
+});
+
+test("a waiting job reboots once the device is idle, or times out", t => {
+  setup(t);
+  updaterActive = true;
+  const { job } = requestReboot({ maxWaitMs: 60000 });
+  t.mock.timers.tick(4000);
+  assert.equal(getRebootJob(job.id).state, "waiting");
+  updaterActive = false;
+  t.mock.timers.tick(4000);
+  assert.equal(getRebootJob(job.id).state, "rebooting");
+
+  updaterActive = true;
+  const late = requestReboot({ maxWaitMs: 6000 }).job;
+  t.mock.timers.tick(4000);
+  t.mock.timers.tick(2000);
+  const done = getRebootJob(late.id);
+  assert.equal(done.state, "timed-out");
+  assert.match(done.note, /updater service active/);
+});
+
+test("force skips the guard, also for a job already waiting", t => {
+  setup(t);
+  updaterActive = true;
+  const { job } = requestReboot({ maxWaitMs: null });
+  assert.equal(job.deadline, null);
+  const forced = requestReboot({ force: true, requestedBy: "admin" });
+  assert.equal(forced.attached, true);
+  assert.equal(forced.job.state, "rebooting");
+  assert.match(forced.job.note, /forced by admin/);
+});
+
+test("maxWaitMs is bounded", t => {
+  setup(t);
+  assert.throws(() => requestReboot({ maxWaitMs: -1 }), { status: 400 });
+  assert.throws(() => requestReboot({ maxWaitMs: 1.5 }), { status: 400 });
+});
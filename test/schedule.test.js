@@ -0,0 +1,65 @@
+// test/schedule.test.js — rule evaluation and next transition, across midnight and DST
+"use strict";
+
+require("./helpers/env").useTempConfig();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeSchedule, evaluate, nextTransition } = require("../schedule");
+
+const SAST = "Africa/Johannesburg";
+
+function schedule(body) {
+  const { schedule: s, error } = normalizeSchedule(body);
+  assert.equal(error, undefined);
+  return s;
+}
+
+test("normalizeSchedule names rules and rejects bad times", () => {
+  const s = schedule({ rules: [{ screens: [1], start: "08:00", end: "18:00", url: "http://a/" }] });
+  assert.equal(s.rules[0].id, "rule-1");
+  assert.deepEqual(s.rules[0].screens, ["1"]);
+  assert.match(normalizeSchedule({ rules: [{ screens: ["1"], start: "8am", end: "18:00", url: "http://a/" }] }).error, /start\/end/);
+});
+
+test("a daytime rule applies inside its window, the fallback outside it", () => {
+  const s = schedule({
+    rules: [{ id: "day", screens: ["1"], days: "mon-fri", start: "08:00", end: "18:00", url: "http://day/" }],
+    fallback: { "1": "http://idle/" },
+  });
+  // Monday 2026-10-19, SAST = UTC+2
+  assert.equal(evaluate(s, "1", new Date("2026-10-19T06:00:00Z"), SAST).ruleId, "day");
+  assert.deepEqual(evaluate(s, "1", new Date("2026-10-19T16:00:00Z"), SAST), { source: "fallback", ruleId: null, url: "http://idle/" });
+  assert.equal(evaluate(s, "2", new Date("2026-10-19T06:00:00Z"), SAST), null);
+});
+
+test("a window that crosses midnight belongs to the day it opened", () => {
+  const s = schedule({ rules: [{ id: "late", screens: ["1"], days: "fri", start: "22:00", end: "02:00", url: "http://late/" }] });
+  assert.equal(evaluate(s, "1", new Date("2026-10-23T20:30:00Z"), SAST).ruleId, "late"); // Fri 22:30
+  assert.equal(evaluate(s, "1", new Date("2026-10-23T23:00:00Z"), SAST).ruleId, "late"); // Sat 01:00
+  assert.equal(evaluate(s, "1", new Date("2026-10-24T00:00:00Z"), SAST), null);          // Sat 02:00
+  assert.equal(evaluate(s, "1", new Date("2026-10-22T23:00:00Z"), SAST), null);          // Fri 01:00
+});
+
+test("nextTransition finds the next edge, including midnight for all-day rules", () => {
+  const s = schedule({
+    rules: [
+      { id: "day", screens: ["1"], days: "mon-fri", start: "08:00", end: "18:00", url: "http://day/" },
+      { id: "weekend", screens: ["2"], days: "sat-sun", start: "00:00", end: "00:00", url: "http://weekend/" },
+    ],
+  });
+  const monEarly = new Date("2026-10-19T05:00:00Z"); // Mon 07:00
+  assert.deepEqual(nextTransition(s, "1", monEarly, SAST), { at: "2026-10-19T06:00:00.000Z", to: { source: "rule", ruleId: "day", url: "http://day/" } });
+  assert.equal(nextTransition(s, "1", new Date("2026-10-19T07:00:00Z"), SAST).at, "2026-10-19T16:00:00.000Z");
+  // Friday evening -> the weekend rule starts at Saturday 00:00 and ends Monday 00:00
+  assert.equal(nextTransition(s, "2", new Date("2026-10-23T18:00:00Z"), SAST).at, "2026-10-23T22:00:00.000Z");
+  assert.equal(nextTransition(s, "2", new Date("2026-10-24T10:00:00Z"), SAST).at, "2026-10-25T22:00:00.000Z");
+  assert.equal(nextTransition(s, "3", monEarly, SAST), null);
+});
+
+test("nextTransition keeps the wall-clock time across DST changes", () => {
+  const s = schedule({ rules: [{ id: "day", screens: ["1"], start: "08:00", end: "18:00", url: "http://day/" }] });
+  // Europe/London springs forward on 2026-03-29 and falls back on 2026-10-25
+  assert.equal(nextTransition(s, "1", new Date("2026-03-28T20:00:00Z"), "Europe/London").at, "2026-03-29T07:00:00.000Z");
+  assert.equal(nextTransition(s, "1", new Date("2026-10-24T20:00:00Z"), "Europe/London").at, "2026-10-25T08:00:00.000Z");
+});
@@ -0,0 +1,35 @@
+// test/zoned-time.test.js — wall-clock helpers, including DST edges
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { zonedParts, zonedToDate, parseHHMM, parseDays } = require("../zoned-time");
+
+test("zonedParts reads the wall clock and weekday in the zone", () => {
+  const p = zonedParts(new Date("2026-10-18T22:30:00Z"), "Africa/Johannesburg");
+  assert.deepEqual(p, { year: 2026, month: 10, day: 19, weekday: 1, hour: 0, minute: 30, second: 0 });
+});
+
+test("zonedToDate lets the day overflow into the next month", () => {
+  assert.equal(zonedToDate(2026, 10, 32, 0, 0, "Africa/Johannesburg").toISOString(), "2026-10-31T22:00:00.000Z");
+});
+
+test("zonedToDate follows the offset on both sides of a DST change", () => {
+  assert.equal(zonedToDate(2026, 3, 28, 12, 0, "Europe/London").toISOString(), "2026-03-28T12:00:00.000Z");
+  assert.equal(zonedToDate(2026, 3, 29, 12, 0, "Europe/London").toISOString(), "2026-03-29T11:00:00.000Z");
+  assert.equal(zonedToDate(2026, 10, 25, 12, 0, "Europe/London").toISOString(), "2026-10-25T12:00:00.000Z");
+});
+
+test("parseHHMM accepts 24:00 and rejects anything past it", () => {
+  assert.equal(parseHHMM("08:30"), 510);
+  assert.equal(parseHHMM("24:00"), 1440);
+  assert.ok(Number.isNaN(parseHHMM("24:01")));
+  assert.ok(Number.isNaN(parseHHMM("8h30")));
+});
+
+test("parseDays understands lists and ranges that wrap the week", () => {
+  assert.deepEqual(parseDays("mon-fri"), [1, 2, 3, 4, 5]);
+  assert.deepEqual(parseDays("fri-mon"), [0, 1, 5, 6]);
+  assert.deepEqual(parseDays(["sat", "sun,wed"]), [0, 3, 6]);
+  assert.equal(parseDays("someday"), null);
+});
@@ -0,0 +1,72 @@
+// url-state.js — saved URL per screen in urls.json: { "<screen id>": url|null }
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { statePath } = require("./config");
+
+const STATE_FILE = statePath("urls.json");
+const LEGACY_KEY = /^hdmi(\d+)$/;
+
+/**
+ * Old files look like { hdmi1, hdmi2 }. Rewrite them keyed by screen id
+ * ({ "1", "2" }) the first time they are read.
+ */
+function migrate(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { state: {}, changed: false };
+  const state = {};
+  let changed = false;
+  for (const [k, v] of Object.entries(raw)) {
+    const m = k.match(LEGACY_KEY);
+    if (m) { changed = true; if (!(m[1] in raw)) state[m[1]] = v; }
+    else state[k] = v;
+  }
+  return { state, changed };
+}
+
+function loadState() {
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(STATE_FILE, "utf8")); }
+  catch { return {}; }
+  const { state, changed } = migrate(raw);
+  if (changed) {
+    console.log(`[urls] migrated ${STATE_FILE} from hdmiN keys to screen ids`);
+    try { fs.copyFileSync(STATE_FILE, `${STATE_FILE}.v1.bak`); } catch {}
+    saveState(state);
+  }
+  return state;
+}
+
+function saveState(s) {
+  try {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+    fs.writeFileSync(STATE_FILE, JSON.stringify(s, null, 2));
+  } catch (e) { console.error("Could not write state:", e); }
+}
+
+/** Saved URL for one screen, or null. */
+function savedUrlFor(id) {
+  const v = loadState()[String(id)];
+  return typeof v === "string" && v ? v : null;
+}
+
+/**
+ * The saved URLs as sent to the hub and GET /saved-urls: keyed by screen id,
+ * plus the old hdmiN keys so readers of urls.hdmi1 / urls.hdmi2 keep working.
+ */
+function publicUrls(state = loadState()) {
+  const out = { ...state };
+  for (const [id, url] of Object.entries(state)) {
+    if (/^\d+$/.test(id)) out[`hdmi${id}`] = url;
+  }
+  return out;
+}
+
+/** Map a request key ("2" or legacy "hdmi2") to a screen id, or null. */
+function screenIdFromKey(key) {
+  if (/^\d+$/.test(key)) return key;
+  const m = String(key).match(LEGACY_KEY);
+  return m ? m[1] : null;
+}
+
+module.exports = { loadState, saveState, savedUrlFor, publicUrls, screenIdFromKey, STATE_FILE };
@@ -0,0 +1,220 @@
+// watchdog.js — per-screen page health watchdog: CDP events + periodic probes, escalating recovery
+"use strict";
+
+const { config } = require("./config");
+const { getSession } = require("./cdp");
+
+const CFG = config.watchdog;
+const STEPS = ["reload", "renavigate", "relaunch"];
+const MAX_INCIDENTS = 50;
+
+function badUrlReason(url) {
+  if (!url) return "empty url";
+  if (url.startsWith("chrome-error://")) return `error page (${url})`;
+  if (url === "about:blank") return "about:blank";
+  return null;
+}
+
+/* -------- one screen -------- */
+class ScreenWatchdog {
+  constructor(screenId, port, hooks) {
+    this.screenId = screenId;
+    this.port = port;
+    this.hooks = hooks;
+    this.session = getSession(screenId, port);
+    this.startedAt = Date.now();
+
+    this.state = "starting";     // starting | healthy | unhealthy | recovering | idle
+    this.lastProbe = null;       // { at, ok, url, reason, ms }
+    this.failures = 0;
+    this.level = 0;              // next step index in STEPS
+    this.lastActionAt = 0;
+    this.lastRelaunchAt = 0;
+    this.healthySince = null;
+    this.incident = null;        // open incident
+    this.pendingReason = null;   // set by CDP events between probes
+
+    this.session.enable("Page");
+    this.session.enable("Inspector");
+    this.session.on("Inspector.targetCrashed", () => {
+      this.pendingReason = "renderer crashed";
+      this.hooks.log.warn(`[watchdog] screen ${this.screenId} renderer crashed`);
+      this.hooks.kick(this);
+    });
+    this.session.on("Page.frameNavigated", ({ frame }) => {
+      if (!frame || frame.parentId) return;
+      const why = this._inGrace() ? null : badUrlReason(frame.url);
+      if (why) {
+        this.pendingReason = why;
+        this.hooks.kick(this);
+      }
+    });
+  }
+
+  _inGrace() { return Date.now() - this.startedAt < CFG.bootGraceMs; }
+
+  /* ---- probing ---- */
+  async probe() {
+    const t0 = Date.now();
+    try {
+      const r = await this.session.send("Runtime.evaluate", {
+        // resolves only once the renderer paints another frame
+        expression: "new Promise(r => requestAnimationFrame(() => r(location.href)))",
+        awaitPromise: true,
+        returnByValue: true,
+      }, { timeoutMs: CFG.probeTimeoutMs });
+      const url = r && r.result ? r.result.value : "";
+      const reason = this.pendingReason || badUrlReason(url);
+      this.pendingReason = null;
+      return { at: new Date().toISOString(), ok: !reason, url, reason, ms: Date.now() - t0 };
+    } catch (e) {
+      const reason = this.pendingReason || (e.timeout ? "page unresponsive" : `devtools unreachable: ${e.message}`);
+      this.pendingReason = null;
+      return { at: new Date().toISOString(), ok: false, url: null, reason, ms: Date.now() - t0 };
+    }
+  }
+
+  /* ---- recovery ---- */
+  async recover(reason) {
+    const now = Date.now();
+    let step = STEPS[Math.min(this.level, STEPS.length - 1)];
+    if (step === "relaunch" && now - this.lastRelaunchAt < CFG.relaunchCooldownMs) return; // let it come up
+    if (step === "reload" && !this.session.connected) step = "renavigate";
+
+    this.state = "recovering";
+    this.lastActionAt = now;
+    this.level = Math.min(STEPS.indexOf(step) + 1, STEPS.length - 1);
+    this.hooks.log.warn(`[watchdog] screen ${this.screenId} ${reason} -> ${step}`);
+    this.hooks.record(this, "action", { step, reason });
+
+    try {
+      if (step === "reload") await this.session.send("Page.reload", { ignoreCache: true });
+      else if (step === "renavigate") this.hooks.renavigate(this.screenId);
+      else {
+        this.lastRelaunchAt = now;
+        this.startedAt = now; // new browser gets the boot grace again
+        this.hooks.relaunch(this.screenId);
+      }
+    } catch (e) {
+      this.hooks.log.warn(`[watchdog] screen ${this.screenId} ${step} failed: ${e.message}`);
+    }
+  }
+
+  /** One watchdog cycle: probe, then decide. */
+  async check() {
+    if (!this.hooks.isConnected(this.screenId)) {
+      this.state = "idle"; this.failures = 0;
+      return;
+    }
+    const p = await this.probe();
+    this.lastProbe = p;
+    const now = Date.now();
+
+    if (p.ok) {
+      this.failures = 0;
+      if (this.state !== "healthy") { this.state = "healthy"; this.healthySince = now; }
+      if (now - this.healthySince >= CFG.healthyResetMs) {
+        if (this.incident) this.hooks.record(this, "resolved");
+        this.level = 0;
+      }
+      return;
+    }
+
+    this.healthySince = null;
+    if (this._inGrace() && !/crash|unresponsive/.test(p.reason)) { this.state = "starting"; return; }
+
+    this.failures++;
+    this.state = "unhealthy";
+    if (this.failures < CFG.failThreshold && p.reason !== "renderer crashed") return;
+    if (!this.incident) this.hooks.record(this, "opened", { reason: p.reason, url: p.url });
+    if (now - this.lastActionAt < CFG.settleMs) return;
+    await this.recover(p.reason);
+  }
+
+  status() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      nextStep: STEPS[Math.min(this.level, STEPS.length - 1)],
+      lastProbe: this.lastProbe,
+      incident: this.incident,
+    };
+  }
+}
+
+/* -------- all screens -------- */
+/**
+ * @param {object} opts
+ *   listScreens()            [{ id, debugPort }]
+ *   isConnected(id)          true when the output has a monitor
+ *   renavigate(id)           send the screen back to the URL it should show
+ *   relaunch(id)             kill and relaunch that screen's Chromium
+ *   onIncident(type, inc)    "opened" | "action" | "resolved"
+ */
+function initWatchdogs(opts) {
+  const { listScreens, isConnected, renavigate, relaunch, onIncident = () => {}, log = console } = opts;
+  const dogs = {};
+  const history = []; // closed + open incidents, newest last
+  let seq = 0;
+
+  const hooks = {
+    log,
+    isConnected,
+    renavigate,
+    relaunch,
+    kick: dog => { setImmediate(() => runOne(dog)); },
+    record(dog, type, extra = {}) {
+      const now = new Date().toISOString();
+      if (type === "opened") {
+        dog.incident = { id: `${Date.now()}-${++seq}`, screen: dog.screenId, openedAt: now, reason: extra.reason, url: extra.url || null, actions: [], resolvedAt: null };
+        history.push(dog.incident);
+        if (history.length > MAX_INCIDENTS) history.shift();
+      } else if (type === "action" && dog.incident) {
+        dog.incident.actions.push({ at: now, step: extra.step, reason: extra.reason });
+      } else if (type === "resolved" && dog.incident) {
+        dog.incident.resolvedAt = now;
+        log.log(`[watchdog] screen ${dog.screenId} healthy again after ${dog.incident.actions.length} action(s)`);
+      }
+      const inc = dog.incident;
+      if (type === "resolved") dog.incident = null;
+      if (inc) onIncident(type, inc);
+    },
+  };
+
+  const busy = new Set();
+  async function runOne(dog) {
+    if (busy.has(dog.screenId)) return;
+    busy.add(dog.screenId);
+    try { await dog.check(); }
+    catch (e) { log.warn(`[watchdog] screen ${dog.screenId} check failed: ${e.message}`); }
+    finally { busy.delete(dog.screenId); }
+  }
+
+  function sync() {
+    for (const s of listScreens()) {
+      const d = dogs[s.id];
+      if (d && d.port === s.debugPort) continue;
+      dogs[s.id] = new ScreenWatchdog(s.id, s.debugPort, hooks);
+    }
+  }
+
+  function start() {
+    if (!CFG.enabled) { log.log("[watchdog] disabled by config"); return; }
+    sync();
+    log.log(`[watchdog] watching ${Object.keys(dogs).length} screen(s) every ${CFG.probeIntervalMs / 1000}s`);
+    setInterval(() => {
+      sync();
+      for (const d of Object.values(dogs)) runOne(d);
+    }, CFG.probeIntervalMs);
+  }
+
+  function status() {
+    return Object.fromEntries(Object.entries(dogs).map(([id, d]) => [id, d.status()]));
+  }
+
+  function incidents() { return history.slice(); }
+
+  return { start, status, incidents };
+}
+
+module.exports = { initWatchdogs };
@@ -0,0 +1,75 @@
+// zoned-time.js — wall-clock helpers for the configured timezone (no DST tables, uses Intl)
+"use strict";
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const _formatters = new Map();
+function formatterFor(tz) {
+  let f = _formatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz, hourCycle: "h23", weekday: "short",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    _formatters.set(tz, f);
+  }
+  return f;
+}
+
+/**
+ * Wall-clock fields of `date` in `tz`.
+ * Returns { year, month (1-12), day, weekday (0=Sun), hour, minute, second }
+ */
+function zonedParts(date, tz) {
+  const p = {};
+  for (const { type, value } of formatterFor(tz).formatToParts(date)) p[type] = value;
+  return {
+    year: +p.year, month: +p.month, day: +p.day,
+    weekday: DAYS.indexOf(p.weekday.slice(0, 3).toLowerCase()),
+    hour: +p.hour, minute: +p.minute, second: +p.second,
+  };
+}
+
+/** The instant at which the wall clock in `tz` reads y-m-d h:mi (m is 1-12; day may overflow). */
+function zonedToDate(y, m, d, h, mi, tz) {
+  const want = Date.UTC(y, m - 1, d, h, mi);
+  let guess = want;
+  for (let i = 0; i < 3; i++) {
+    const p = zonedParts(new Date(guess), tz);
+    const diff = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - want;
+    if (!diff) break;
+    guess -= diff;
+  }
+  return new Date(guess);
+}
+
+/** "HH:MM" -> minutes since midnight ("24:00" allowed), or NaN. */
+function parseHHMM(s) {
+  const m = String(s || "").match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return NaN;
+  const h = +m[1], mi = +m[2];
+  if (mi > 59 || h > 24 || (h === 24 && mi !== 0)) return NaN;
+  return h * 60 + mi;
+}
+
+/**
+ * Day list from ["mon", "tue"], "mon-fri", "sat,sun" or a mix. Returns
+ * an array of weekday numbers (0=Sun) or null if something is not a day.
+ */
+function parseDays(spec) {
+  const parts = (Array.isArray(spec) ? spec : [spec]).flatMap(s => String(s).split(","));
+  const out = new Set();
+  for (const raw of parts) {
+    const s = raw.trim().toLowerCase();
+    if (!s) continue;
+    const range = s.split(/\s*[-–]\s*/);
+    const a = DAYS.indexOf(range[0].slice(0, 3));
+    const b = range.length > 1 ? DAYS.indexOf(range[1].slice(0, 3)) : a;
+    if (a === -1 || b === -1 || range.length > 2) return null;
+    for (let d = a; ; d = (d + 1) % 7) { out.add(d); if (d === b) break; }
+  }
+  return [...out].sort();
+}
+
+module.exports = { DAYS, zonedParts, zonedToDate, parseHHMM, parseDays };